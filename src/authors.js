@@ -0,0 +1,179 @@
+/**
+ * git2feed - Author attribution module (authors, co-authors, .mailmap)
+ *
+ * @author Aurélien Rommelaere <https://arommelaere.com>
+ * @license MIT
+ */
+
+import fs from "fs";
+import path from "path";
+import { readTrailers } from "./trailers.js";
+
+/** Name shown in place of authors that may not be published */
+export const ANONYMOUS = "Anonymous contributor";
+
+const PERSON_RE = /^\s*(.*?)\s*<([^>]*)>\s*$/;
+
+/**
+ * Parses a .mailmap file (see gitmailmap(5))
+ * @param {string} content - .mailmap content
+ * @returns {Array<{name: string|null, email: string|null, commitName: string|null, commitEmail: string}>}
+ */
+export function parseMailmap(content) {
+  const rules = [];
+
+  for (const raw of (content || "").split("\n")) {
+    const line = raw.replace(/#.*$/, "").trim();
+    if (!line) continue;
+
+    // Up to two "Name <email>" pairs: proper identity, then commit identity
+    const pairs = [...line.matchAll(/([^<]*)<([^>]*)>/g)].map((m) => ({
+      name: m[1].trim() || null,
+      email: m[2].trim().toLowerCase() || null,
+    }));
+    if (!pairs.length) continue;
+
+    if (pairs.length === 1) {
+      rules.push({
+        name: pairs[0].name,
+        email: null,
+        commitName: null,
+        commitEmail: pairs[0].email,
+      });
+    } else {
+      rules.push({
+        name: pairs[0].name,
+        email: pairs[0].email,
+        commitName: pairs[1].name,
+        commitEmail: pairs[1].email,
+      });
+    }
+  }
+
+  return rules;
+}
+
+/**
+ * Reads the .mailmap of a repository
+ * @param {string} root - Repository root
+ * @returns {Array<object>} Rules as returned by parseMailmap (empty if none)
+ */
+export function readMailmap(root) {
+  try {
+    return parseMailmap(fs.readFileSync(path.join(root, ".mailmap"), "utf8"));
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Resolves an identity through .mailmap rules. Rules matching both name and
+ * email win over rules matching the email only, like git does.
+ * @param {{name: string, email: string}} person
+ * @param {Array<object>} mailmap - Rules from parseMailmap
+ * @returns {{name: string, email: string}}
+ */
+export function resolveAuthor(person, mailmap = []) {
+  const email = (person.email || "").toLowerCase();
+  const rule =
+    mailmap.find(
+      (r) =>
+        r.commitEmail === email &&
+        r.commitName &&
+        r.commitName.toLowerCase() === (person.name || "").toLowerCase()
+    ) || mailmap.find((r) => r.commitEmail === email && !r.commitName);
+
+  if (!rule) return { name: person.name, email: person.email };
+  return {
+    name: rule.name || person.name,
+    email: rule.email || person.email,
+  };
+}
+
+/**
+ * Returns the author and co-authors (`Co-authored-by:` trailers) of a commit
+ * @param {{author_name?: string, author_email?: string, body?: string}} commit
+ * @param {Array<object>} [mailmap] - Rules from parseMailmap
+ * @returns {Array<{name: string, email: string}>} Unique identities, author first
+ */
+export function commitAuthors(commit, mailmap = []) {
+  const people = [];
+  if (commit.author_name) {
+    people.push({ name: commit.author_name, email: commit.author_email || "" });
+  }
+  for (const value of readTrailers(commit.body)["co-authored-by"] || []) {
+    const match = value.match(PERSON_RE);
+    people.push(
+      match ? { name: match[1], email: match[2] } : { name: value, email: "" }
+    );
+  }
+
+  const seen = new Set();
+  return people
+    .map((p) => resolveAuthor(p, mailmap))
+    .filter((p) => {
+      const key = (p.email || p.name).toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+/**
+ * Tells whether authors are credited: an allowlist or anonymisation implies
+ * the authors option
+ * @param {object} options - authors, authorsAllow and anonymizeAuthors
+ * @returns {boolean}
+ */
+export function wantsAuthors(options = {}) {
+  return Boolean(
+    options.authors || options.authorsAllow || options.anonymizeAuthors
+  );
+}
+
+/**
+ * Turns identities into the author objects that may be published: emails are
+ * never exposed, and authors outside the allowlist (or everyone when
+ * anonymising) are shown as ANONYMOUS.
+ * @param {Array<{name: string, email: string}>} people
+ * @param {object} [options]
+ * @param {string[]|string} [options.authorsAllow] - Names or emails allowed
+ * @param {boolean} [options.anonymizeAuthors] - Hide every name
+ * @returns {Array<{name: string}>}
+ */
+export function publicAuthors(people, options = {}) {
+  const allow = options.authorsAllow
+    ? (Array.isArray(options.authorsAllow)
+        ? options.authorsAllow
+        : String(options.authorsAllow).split(",")
+      )
+        .map((a) => a.trim().toLowerCase())
+        .filter(Boolean)
+    : null;
+
+  const shown = (p) =>
+    !options.anonymizeAuthors &&
+    (!allow ||
+      allow.includes((p.name || "").toLowerCase()) ||
+      allow.includes((p.email || "").toLowerCase()));
+
+  return mergeAuthors(
+    people.map((p) => ({ name: shown(p) ? p.name : ANONYMOUS }))
+  );
+}
+
+/**
+ * Concatenates author lists without duplicates
+ * @param {...Array<{name: string}>} lists
+ * @returns {Array<{name: string}>}
+ */
+export function mergeAuthors(...lists) {
+  const names = new Set();
+  const merged = [];
+  for (const author of lists.flat()) {
+    if (!author || names.has(author.name)) continue;
+    names.add(author.name);
+    merged.push({ name: author.name });
+  }
+  return merged;
+}
@@ -0,0 +1,435 @@
+/**
+ * git2feed - In-memory feed building, shared by the CLI and the middleware
+ *
+ * buildFeed turns commits into updates.txt, updates.json, the feeds, the HTML
+ * page and plugin formats without touching the disk or git, e.g. in tests.
+ * Whatever else it needs (package.json, tag dates, .mailmap, loaded plugins,
+ * records published by earlier runs...) is passed in `inputs`. It still runs
+ * on Node only: the modules it shares with the CLI import Node built-ins
+ * (fs, path, crypto). writeFeed (write.js) writes its result to a directory.
+ *
+ * @author Aurélien Rommelaere <https://arommelaere.com>
+ * @license MIT
+ */
+
+import { parseCommit, keepCommit } from "./conventional.js";
+import { changelogTrailers } from "./trailers.js";
+import { assignReleases } from "./releases.js";
+import { GROUP_BY, resolveTimeZone, dayOf } from "./dates.js";
+import {
+  FORMATS,
+  FEED_FORMATS,
+  GRANULARITIES,
+  parseFormats,
+  renderFeed,
+  renderTxt,
+  renderJson,
+  commitItem,
+} from "./render.js";
+import {
+  commitRecord,
+  recordEntry,
+  groupRecords,
+  pointHashes,
+} from "./records.js";
+import { renderHtml } from "./html.js";
+import { createRedactor, redactionVersion } from "./redact.js";
+import {
+  filterCommit,
+  transformEntry,
+  transformItems,
+  pluginRenderers,
+} from "./plugins.js";
+import { resolveChannel } from "./channel.js";
+import { resolveTemplates } from "./templates.js";
+import {
+  DEFAULT_PAGE_SIZE,
+  splitArchives,
+  archiveFile,
+  archiveLinks,
+  paginate,
+  pageLinks,
+  addFeedLinks,
+} from "./pages.js";
+import { commitAuthors, publicAuthors, wantsAuthors } from "./authors.js";
+
+/**
+ * Validates and normalizes the options shaping the outputs
+ * @param {object} options - generateUpdates options
+ * @param {string[]} [extraFormats] - Formats added by plugins
+ * @returns {{groupBy: string, timeZone: string, granularity: string, feedLimit: number|null, formats: string[], siteUrl: string}}
+ * @throws {Error} On invalid values
+ */
+export function resolveBuildOptions(options = {}, extraFormats = []) {
+  const groupBy = options.groupBy || "day";
+  const granularity = options.granularity || "day";
+  // Items of JSON and feeds, older ones being archived (null: no limit)
+  const feedLimit = options.feedLimit ? Number(options.feedLimit) : null;
+
+  if (!GROUP_BY.includes(groupBy)) {
+    throw new Error(
+      `Unknown groupBy "${groupBy}" (expected ${GROUP_BY.join(", ")})`
+    );
+  }
+
+  if (feedLimit !== null && !(Number.isInteger(feedLimit) && feedLimit > 0)) {
+    throw new Error(
+      `Invalid feedLimit "${options.feedLimit}" (expected a positive integer)`
+    );
+  }
+
+  if (!GRANULARITIES.includes(granularity)) {
+    throw new Error(
+      `Unknown granularity "${granularity}" (expected day or commit)`
+    );
+  }
+
+  return {
+    groupBy,
+    // Days are computed in this time zone, for grouping and feed dates alike
+    timeZone: resolveTimeZone(options.timezone),
+    granularity,
+    feedLimit,
+    formats: parseFormats(options.formats, extraFormats),
+    siteUrl: options.siteUrl || "",
+  };
+}
+
+/**
+ * Creates the functions turning commits into published records: keep filter,
+ * branch stripping, redaction, authors and plugin hooks
+ * @param {object} options - generateUpdates options
+ * @param {object} [inputs]
+ * @param {Array<object>} [inputs.plugins] - Loaded plugins
+ * @param {Array<object>} [inputs.mailmap] - Parsed .mailmap entries
+ * @param {Map<string, object>} [inputs.releases] - Release of each commit
+ * @param {object} [inputs.context] - Context passed to plugin hooks
+ * @returns {{keep: Function, entryOf: Function, recordOf: Function, processMessage: Function, stripBranchName: Function, dropReason: Function, redaction: string}}
+ */
+export function createProcessor(options = {}, inputs = {}) {
+  const plugins = inputs.plugins || [];
+  const mailmap = inputs.mailmap || [];
+  const releases = inputs.releases || new Map();
+  const context = inputs.context || {};
+  // Confidential and hidden terms, regex rules and built-in detectors
+  const redact = createRedactor(options);
+  const redaction = redactionVersion(options);
+  const authors = wantsAuthors(options);
+
+  // Filter commits to keep
+  function defaultKeep(m) {
+    const s = m.toLowerCase();
+    if (s.startsWith("merge")) return false;
+    if (/^(chore|ci|build|refactor)\b/.test(s)) return false;
+    return true;
+  }
+
+  const userKeep = options.keep ? new RegExp(options.keep, "i") : null;
+
+  function keepMsg(m) {
+    if (userKeep) return userKeep.test(m);
+    return defaultKeep(m);
+  }
+
+  // Strip branch name using improved regex
+  function stripBranchName(msg) {
+    if (!options.stripBranch) return msg;
+    // Improved regex to handle "[BranchHere]: " pattern
+    return msg.replace(/^\s*\[[^\]]*\](?:\s*:)?\s*/, "");
+  }
+
+  // Function to process message text
+  function processMessage(msg) {
+    return redact(stripBranchName(msg)).trim();
+  }
+
+  // Parses a commit into an entry, crediting its authors when enabled.
+  // Returns null when a plugin drops the entry.
+  function entryOf(c) {
+    const entry = parseCommit(c, processMessage);
+    if (authors) {
+      entry.authors = publicAuthors(commitAuthors(c, mailmap), options);
+    }
+    return transformEntry(plugins, entry, c, context);
+  }
+
+  // Filter commits by keeping pattern
+  // (Changelog trailers in the commit body override the keep filter)
+  // (plugins get the final say through filterCommit)
+  const keep = (c) => filterCommit(plugins, c, keepCommit(c, keepMsg), context);
+
+  // Record of a commit, as stored in the index
+  function recordOf(c, entry) {
+    return commitRecord(c, entry, {
+      release: releases.get(c.hash) || null,
+      redaction,
+    });
+  }
+
+  // Why keep leaves a commit out
+  function dropReason(c) {
+    if (changelogTrailers(c.body).skip) return "Changelog: skip";
+    if (!keepCommit(c, keepMsg)) return "keep filter";
+    return "plugin";
+  }
+
+  return {
+    keep,
+    entryOf,
+    recordOf,
+    processMessage,
+    stripBranchName,
+    dropReason,
+    redaction,
+  };
+}
+
+/**
+ * Builds every output of a feed from commits, in memory
+ * @param {Array<object>} commits - Commits as returned by simple-git, newest
+ *   first
+ * @param {object} [options] - generateUpdates options (siteUrl is used as is,
+ *   without environment fallback)
+ * @param {object} [inputs] - Everything else, provided by the caller
+ * @param {object} [inputs.pkg] - package.json contents, for channel defaults
+ *   and commit links
+ * @param {Object<string, string>} [inputs.tagDates] - Tag dates (see
+ *   readTagDates), for release grouping
+ * @param {Map<string, object>} [inputs.releases] - Release of each commit
+ *   (see readReleases), assigned from the `refs` of the commits otherwise
+ * @param {Array<object>} [inputs.mailmap] - Parsed .mailmap entries
+ * @param {Array<object>} [inputs.plugins] - Loaded plugins (see loadPlugins)
+ * @param {string} [inputs.htmlTemplate] - Template of updates.html
+ * @param {Array<object>} [inputs.records] - Records published by earlier runs
+ *   (updates.index.json), kept as published
+ * @param {string[]} [inputs.skipped] - Hashes of commits dropped by plugins
+ *   in earlier runs
+ * @param {string} [inputs.root] - Project root, for plugin hooks
+ * @param {string} [inputs.outDir] - Output directory, for plugin hooks
+ * @param {string[]} [inputs.targets] - Formats to render (default: the
+ *   `formats` option); updates.txt is always rendered
+ * @param {{page: number|null, before: string|null, url?: string}} [inputs.page] -
+ *   Page served by a dynamic endpoint (see parsePageQuery). Without it,
+ *   items beyond feedLimit go to yearly archives.
+ * @returns {Promise<object>} `outputs` (content by format), `archives`
+ *   ({format, year, file, content}), `files` (file name by format), `items`,
+ *   `feedItems`, the `records` and `skipped` hashes to store, and the commits
+ *   `added`, `fresh` (added or reopened), `reopened` and `dropped` by this run,
+ *   with `freshItems` grouping the fresh ones for CHANGELOG.md and
+ *   `recordItems` grouping every record, to write it from scratch
+ */
+export async function buildFeed(commits, options = {}, inputs = {}) {
+  const plugins = inputs.plugins || [];
+  const renderers = pluginRenderers(plugins);
+  const { groupBy, timeZone, granularity, feedLimit, formats, siteUrl } =
+    resolveBuildOptions(options, Object.keys(renderers));
+  const pkg = inputs.pkg || {};
+  // Title, description, author... defaulting from package.json
+  const channel = resolveChannel(options, { siteUrl, pkg });
+  // Item titles and points, with dates in the channel locale by default
+  const templates = await resolveTemplates(options, { pkg });
+
+  // Passed to every plugin hook
+  const context = {
+    root: inputs.root || null,
+    outDir: inputs.outDir || null,
+    siteUrl,
+    title: channel.title,
+    options,
+  };
+  const { keep, entryOf, recordOf, processMessage, dropReason, redaction } =
+    createProcessor(options, {
+      plugins,
+      mailmap: inputs.mailmap,
+      // Release of every commit, recorded whatever the grouping so that
+      // switching to groupBy "release" doesn't lose it
+      releases:
+        inputs.releases || assignReleases(commits, inputs.tagDates || {}),
+      context,
+    });
+  const byHash = new Map(commits.map((c) => [c.hash, c]));
+  let records = [...(inputs.records || [])];
+  const skipped = [...(inputs.skipped || [])];
+
+  // In release mode, unreleased commits still within the log are processed
+  // again since a tag may have been created for them in the meantime
+  const reopened =
+    groupBy === "release"
+      ? records.filter(
+          (r) => r.hash && r.release === null && byHash.has(r.hash)
+        )
+      : [];
+  records = records.filter((r) => !reopened.includes(r));
+
+  // Records published under other redaction rules get the new rules on top
+  // of their published text, so removing a rule never brings back what it
+  // redacted. With `reprocess`, those still within the log are processed
+  // again from their commit.
+  records = records.flatMap((r) => {
+    if (r.redaction === redaction) return [r];
+    const c = options.reprocess && r.hash && byHash.get(r.hash);
+    if (!c) {
+      return [{ ...r, subject: processMessage(r.subject), redaction }];
+    }
+    const entry = entryOf(c);
+    if (!entry) {
+      skipped.push(c.hash);
+      return [];
+    }
+    return [recordOf(c, entry)];
+  });
+
+  // Filter commits by whether they've been seen before
+  const seen = new Set([...records.map((r) => r.hash), ...skipped]);
+  const unseen = commits.filter((c) => !seen.has(c.hash));
+  const newCommits = unseen.filter(keep);
+  const dropped = unseen
+    .filter((c) => !newCommits.includes(c))
+    .map((c) => ({ hash: c.hash, message: c.message, reason: dropReason(c) }));
+
+  // Process new commits (entries dropped by plugins are remembered as
+  // skipped so they aren't processed on every run)
+  const fresh = [];
+  for (const c of newCommits) {
+    const entry = entryOf(c);
+    if (entry) fresh.push(recordOf(c, entry));
+    else {
+      skipped.push(c.hash);
+      dropped.push({ hash: c.hash, message: c.message, reason: "plugin" });
+    }
+  }
+  records = [...fresh, ...records];
+
+  // Every output is rendered from the records
+  let items = groupRecords(records, groupBy, timeZone);
+  const outputs = { txt: renderTxt(items, templates) };
+  items = transformItems(plugins, items, { ...context, level: "group" });
+
+  // In commit granularity, feeds get one item per published commit (newest
+  // first). Points migrated without their commit have no item.
+  const feedItems =
+    granularity === "commit"
+      ? transformItems(
+          plugins,
+          records
+            .filter((r) => r.hash)
+            .map((r) => commitItem(r, recordEntry(r), timeZone)),
+          { ...context, level: "commit" }
+        )
+      : items;
+
+  // Dynamic endpoints serve one page, linked per RFC 5005 to the next ones.
+  // Generated files keep feedLimit items and archive older ones by year.
+  const archives = [];
+  const renderPages = (target, list, render) => {
+    const file = FORMATS[target].file;
+    const page = inputs.page;
+    if (page) {
+      if (!feedLimit && !page.page && !page.before) return render(list);
+      const result = paginate(list, page, feedLimit || DEFAULT_PAGE_SIZE);
+      return addFeedLinks(
+        render(result.items),
+        target,
+        pageLinks(page.url || `${siteUrl}/${file}`, result)
+      );
+    }
+
+    const split = splitArchives(list, feedLimit);
+    const years = split.archives.map((archive) => archive.year);
+    for (const archive of split.archives) {
+      archives.push({
+        format: target,
+        year: archive.year,
+        file: archiveFile(file, archive.year),
+        content: addFeedLinks(
+          render(archive.items),
+          target,
+          archiveLinks(file, years, archive.year, siteUrl)
+        ),
+      });
+    }
+    return addFeedLinks(
+      render(split.current),
+      target,
+      archiveLinks(file, years, null, siteUrl)
+    );
+  };
+
+  // The default copyright is dated with the newest record rather than the
+  // current year, so the feeds don't change every January
+  const newest = records.reduce(
+    (latest, r) =>
+      !latest || Date.parse(r.date) > Date.parse(latest) ? r.date : latest,
+    null
+  );
+  const feedChannel = newest
+    ? resolveChannel(options, {
+        siteUrl,
+        pkg,
+        year: dayOf(newest, timeZone).slice(0, 4),
+      })
+    : channel;
+
+  const files = { txt: FORMATS.txt.file };
+  for (const target of inputs.targets || formats) {
+    if (target === "txt") continue;
+    files[target] = (FORMATS[target] || renderers[target]).file;
+
+    if (renderers[target]) {
+      // Plugin renderers replace built-in formats and add new ones. They get
+      // every item, so they have no pages nor archives.
+      outputs[target] = renderers[target].render(items, {
+        ...context,
+        format: target,
+        feedItems,
+      });
+    } else if (target === "json") {
+      outputs.json = renderPages("json", items, (page) =>
+        renderJson(page, templates)
+      );
+    } else if (FEED_FORMATS.includes(target)) {
+      outputs[target] = renderPages(target, feedItems, (page) =>
+        renderFeed(target, page, siteUrl, {
+          ...feedChannel,
+          timeZone,
+          templates,
+        })
+      );
+    } else if (target === "html") {
+      // The HTML page links to the feeds written alongside it
+      outputs.html = renderHtml(items, {
+        siteUrl,
+        title: channel.title,
+        description: channel.description,
+        language: channel.language,
+        template: inputs.htmlTemplate || null,
+        // Feed items link to their commit on the page
+        anchors:
+          granularity === "commit"
+            ? pointHashes(records, groupBy, timeZone)
+            : null,
+        feeds: FEED_FORMATS.filter((f) => formats.includes(f)).map((f) => ({
+          type: FORMATS[f].contentType,
+          file: FORMATS[f].file,
+        })),
+      });
+    }
+  }
+
+  return {
+    outputs,
+    archives,
+    files,
+    items,
+    feedItems,
+    records,
+    skipped,
+    // Commits published for the first time (reopened ones already were)
+    added: fresh.filter((r) => !reopened.some((o) => o.hash === r.hash)),
+    fresh,
+    reopened,
+    dropped,
+    freshItems: groupRecords(fresh, groupBy, timeZone),
+    recordItems: groupRecords(records, groupBy, timeZone),
+  };
+}
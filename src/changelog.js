@@ -0,0 +1,182 @@
+/**
+ * git2feed - Keep a Changelog (CHANGELOG.md) module
+ *
+ * @author Aurélien Rommelaere <https://arommelaere.com>
+ * @license MIT
+ */
+
+import { itemHeading } from "./releases.js";
+
+/** Preamble written when CHANGELOG.md does not exist yet */
+export const CHANGELOG_PREAMBLE = `# Changelog
+
+All notable changes to this project will be documented in this file.
+
+The format is based on [Keep a Changelog](https://keepachangelog.com/en/1.1.0/).
+`;
+
+/** Keep a Changelog change types, in their conventional order */
+export const CHANGE_TYPES = [
+  "Added",
+  "Changed",
+  "Deprecated",
+  "Removed",
+  "Fixed",
+  "Security",
+];
+
+/**
+ * Maps a parsed entry to a Keep a Changelog change type
+ * @param {{type: string|null, subject: string}} entry
+ * @returns {string} One of CHANGE_TYPES
+ */
+export function changeType(entry) {
+  if (entry.type === "feat") return "Added";
+  if (entry.type === "fix") return "Fixed";
+  if (entry.type === "security") return "Security";
+  if (/\bdeprecat/i.test(entry.subject)) return "Deprecated";
+  if (entry.type === "revert" || /^(remove|drop|delete)/i.test(entry.subject))
+    return "Removed";
+  return "Changed";
+}
+
+/**
+ * Returns the "## " heading of a block
+ * @param {{date: string|null, version?: string, unreleased?: boolean}} block
+ * @returns {string} e.g. "## [1.2.0] - 2025-01-04", "## [Unreleased]", "## 2025-01-04"
+ *   or "## Week of 2025-01-06"
+ */
+export function changelogHeading(block) {
+  if (block.unreleased) return "## [Unreleased]";
+  if (block.version) {
+    return `## [${block.version.replace(/^v(?=\d)/, "")}] - ${block.date}`;
+  }
+  return `## ${itemHeading(block)}`;
+}
+
+/**
+ * Formats an entry as a Markdown list item
+ * @param {{scope: string|null, breaking: boolean, subject: string}} entry
+ * @returns {string}
+ */
+function formatLine(entry) {
+  const scope = entry.scope ? `**${entry.scope}:** ` : "";
+  const breaking = entry.breaking ? "**Breaking:** " : "";
+  return `- ${breaking}${scope}${entry.subject}`;
+}
+
+/**
+ * Groups entries by change type as lists of Markdown lines
+ * @param {Array<object>} entries
+ * @returns {Object<string, string[]>}
+ */
+function linesByType(entries) {
+  const groups = {};
+  for (const entry of entries) {
+    const type = changeType(entry);
+    if (!groups[type]) groups[type] = [];
+    groups[type].push(formatLine(entry));
+  }
+  return groups;
+}
+
+/**
+ * Renders a version section
+ * @param {{heading: string, entries: Array<object>}} block
+ * @returns {string}
+ */
+function renderSection(block) {
+  const groups = linesByType(block.entries);
+  const parts = [block.heading];
+  for (const type of CHANGE_TYPES) {
+    if (groups[type]) parts.push("", `### ${type}`, "", ...groups[type]);
+  }
+  return parts.join("\n");
+}
+
+/**
+ * Adds entries to an existing section, appending to each "### Type" list and
+ * creating the lists that are missing. Existing lines are left untouched.
+ * @param {string} section - Section text, heading included
+ * @param {Array<object>} entries
+ * @returns {string}
+ */
+function mergeSection(section, entries) {
+  const lines = section.replace(/\s+$/, "").split("\n");
+  const groups = linesByType(entries);
+
+  for (const type of CHANGE_TYPES) {
+    if (!groups[type]) continue;
+    const start = lines.findIndex((l) => l.trim() === `### ${type}`);
+    const fresh = groups[type].filter((l) => !lines.includes(l));
+    if (!fresh.length) continue;
+
+    if (start === -1) {
+      lines.push("", `### ${type}`, "", ...fresh);
+      continue;
+    }
+
+    // Insert after the last list item of the subsection
+    let end = start + 1;
+    for (let i = start + 1; i < lines.length; i++) {
+      if (/^#{2,3} /.test(lines[i])) break;
+      if (lines[i].trim()) end = i + 1;
+    }
+    lines.splice(end, 0, ...fresh);
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * Splits a changelog into its preamble and its "## " sections
+ * @param {string} content - CHANGELOG.md content
+ * @returns {{preamble: string, sections: string[]}}
+ */
+function splitSections(content) {
+  const parts = content.split(/^(?=## )/m);
+  const preamble = parts[0].startsWith("## ") ? "" : parts.shift();
+  return { preamble, sections: parts };
+}
+
+/**
+ * Prepends new blocks to a changelog, leaving older sections as they are.
+ * A block whose heading already exists is merged into that section.
+ * @param {string} content - Current CHANGELOG.md content (may be empty)
+ * @param {Array<{date: string|null, version?: string, unreleased?: boolean, entries: Array<object>}>} blocks
+ *   New blocks, newest first
+ * @param {{dropUnreleased?: boolean}} [options] - Whether to drop the current
+ *   "Unreleased" section because its commits are part of `blocks` again
+ * @returns {string} Updated CHANGELOG.md content
+ */
+export function updateChangelog(content, blocks, options = {}) {
+  const { preamble, sections } = splitSections(
+    content.trim() ? content : CHANGELOG_PREAMBLE
+  );
+  const headingOf = (section) => section.split("\n")[0].trim();
+
+  let kept = options.dropUnreleased
+    ? sections.filter(
+        (s) => headingOf(s) !== changelogHeading({ unreleased: true })
+      )
+    : sections;
+
+  const prepended = [];
+  for (const block of blocks) {
+    const heading = changelogHeading(block);
+    const index = kept.findIndex((s) => headingOf(s) === heading);
+    if (index === -1) {
+      prepended.push(renderSection({ heading, entries: block.entries }));
+    } else {
+      kept = kept.map((s, i) =>
+        i === index ? mergeSection(s, block.entries) : s
+      );
+    }
+  }
+
+  return (
+    [preamble.trim(), ...prepended, ...kept.map((s) => s.trim())]
+      .filter(Boolean)
+      .join("\n\n") + "\n"
+  );
+}
@@ -0,0 +1,97 @@
+/**
+ * git2feed - Feed channel metadata module (title, description, author...)
+ *
+ * Channel fields that aren't configured default from the project's
+ * package.json: `name` for the title, `description`, `homepage` for the link
+ * when no site URL is known, and `author` (which also signs the copyright).
+ *
+ * @author Aurélien Rommelaere <https://arommelaere.com>
+ * @license MIT
+ */
+
+import path from "path";
+import { readJSON } from "./detect.js";
+import { DEFAULT_TITLE } from "./render.js";
+
+/**
+ * Parses an author given as an object or as an npm author string
+ * ("Name <email> (url)")
+ * @param {string|{name?: string, email?: string, url?: string, link?: string}} author
+ * @returns {{name: string, email?: string, link?: string}|null}
+ */
+export function parseAuthor(author) {
+  if (!author) return null;
+
+  let fields = author;
+  if (typeof author === "string") {
+    const match = author.match(
+      /^([^<(]*?)\s*(?:<([^>]*)>)?\s*(?:\(([^)]*)\))?$/
+    );
+    fields = match
+      ? { name: match[1], email: match[2], url: match[3] }
+      : { name: author };
+  }
+
+  const name = (fields.name || "").trim();
+  if (!name) return null;
+  const parsed = { name };
+  const link = fields.link || fields.url;
+  if (fields.email) parsed.email = fields.email.trim();
+  if (link) parsed.link = link.trim();
+  return parsed;
+}
+
+/**
+ * Splits a list option given as a comma-separated string or an array
+ * @param {string|string[]|null} value
+ * @returns {string[]}
+ */
+function toList(value) {
+  if (!value) return [];
+  return (Array.isArray(value) ? value : String(value).split(","))
+    .map((v) => String(v).trim())
+    .filter(Boolean);
+}
+
+/**
+ * Resolves the channel metadata of the feeds and HTML page
+ * @param {object} options - generateUpdates options (title, description,
+ *   link, language, copyright, image, favicon, author, categories, ttl)
+ * @param {object} [project]
+ * @param {string} [project.root] - Project root, where package.json is read
+ * @param {string} [project.siteUrl] - Public site URL
+ * @param {object} [project.pkg] - package.json contents, read from root when
+ *   not given
+ * @param {string|null} [project.year] - Year of the newest published commit,
+ *   which dates the default copyright (none without it)
+ * @returns {{title: string, description: string|null, link: string|null, language: string|null, copyright: string|null, image: string|null, favicon: string|null, author: object|null, categories: string[], ttl: number|null}}
+ */
+export function resolveChannel(options = {}, project = {}) {
+  const root = project.root || process.cwd();
+  const pkg = project.pkg || readJSON(path.join(root, "package.json")) || {};
+  const author = parseAuthor(options.author || pkg.author);
+
+  let link = options.link || null;
+  if (!link) {
+    link = project.siteUrl
+      ? `${project.siteUrl}/updates`
+      : pkg.homepage || null;
+  }
+
+  return {
+    title: options.title || (pkg.name ? `${pkg.name} updates` : DEFAULT_TITLE),
+    description: options.description || pkg.description || null,
+    link,
+    language: options.language || null,
+    copyright:
+      options.copyright ||
+      (author && project.year
+        ? `Copyright ${project.year} ${author.name}`
+        : null),
+    image: options.image || null,
+    favicon: options.favicon || null,
+    author,
+    categories: toList(options.categories),
+    ttl: options.ttl ? Number(options.ttl) : null,
+  };
+}
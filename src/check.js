@@ -0,0 +1,74 @@
+/**
+ * git2feed - Staleness check of the generated files, for CI
+ *
+ * Runs a dry run of every feed, without diffs, and compares what would be
+ * written with the files on disk. Generation times (`updated_at`,
+ * `lastBuildDate`, the HTML "Last updated" line...) change on every run, so
+ * they are ignored.
+ *
+ * @author Aurélien Rommelaere <https://arommelaere.com>
+ * @license MIT
+ */
+
+import fs from "fs";
+import { generateFeeds } from "./generate.js";
+
+/**
+ * Masks the generation times of a generated file: `updated_at` (JSON),
+ * `lastBuildDate` (RSS), the feed-level `updated` (Atom) and the "Last
+ * updated" line (HTML). Item dates are kept, so a new time zone is still
+ * reported.
+ * @param {string} content
+ * @returns {string}
+ */
+export function normalizeTimestamps(content) {
+  // Entries carry their own <updated>, only the feed's comes before them
+  const entry = content.indexOf("<entry>");
+  const head = entry === -1 ? content : content.slice(0, entry);
+  return (
+    head.replace(/(<updated>)[^<]*(<\/updated>)/, "$1<timestamp>$2") +
+    content.slice(head.length)
+  )
+    .replace(/("updated_at":\s*")[^"]*(")/g, "$1<timestamp>$2")
+    .replace(/(<lastBuildDate>)[^<]*(<\/lastBuildDate>)/g, "$1<timestamp>$2")
+    .replace(
+      /(Last updated <time datetime=")[^"]*(">)[^<]*(<\/time>)/g,
+      "$1<timestamp>$2<timestamp>$3"
+    );
+}
+
+/**
+ * Checks whether the generated files are up to date with the history,
+ * without writing anything
+ * @param {object} options - generateUpdates options (named feeds of the
+ *   config file are all checked)
+ * @returns {Promise<{ok: boolean, feeds: Array<{name: string|null, outDir: string, missing: Array<{hash: string, point: string}>, files: Array<{path: string, status: string}>}>}>}
+ *   Commits missing from each feed and its out of date files
+ */
+export async function checkUpdates(options = {}) {
+  const results = await generateFeeds({
+    ...options,
+    dryRun: true,
+    diffs: false,
+  });
+
+  const feeds = results.map((result) => ({
+    name: result.name,
+    outDir: result.outDir,
+    missing: result.dryRun.added,
+    files: result.dryRun.files
+      .filter((file) => {
+        if (file.status !== "modified") return file.status !== "unchanged";
+        const current = fs.readFileSync(file.path, "utf8");
+        return (
+          normalizeTimestamps(current) !== normalizeTimestamps(file.content)
+        );
+      })
+      .map((file) => ({ path: file.path, status: file.status })),
+  }));
+
+  return {
+    ok: feeds.every((feed) => !feed.missing.length && !feed.files.length),
+    feeds,
+  };
+}
@@ -7,7 +7,8 @@
  * @license MIT
  */
 
-import { generateUpdates } from "./generate.js";
+import { generateFeeds, generateWorkspaces } from "./generate.js";
+import { checkUpdates } from "./check.js";
 import { promises as fs } from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
@@ -27,6 +28,19 @@ function hasFlag(name) {
   return process.argv.includes(name);
 }
 
+// Value of a flag that takes a positive integer, exits on anything else
+function positiveIntArg(name) {
+  const v = arg(name);
+  if (v === null) return null;
+  if (v === true || !/^\d+$/.test(v) || Number(v) === 0) {
+    console.error(
+      `❌ ${name} expects a positive integer${v === true ? "" : `, got "${v}"`}`
+    );
+    process.exit(1);
+  }
+  return Number(v);
+}
+
 // Check if first argument is a command
 const command =
   process.argv[2] && !process.argv[2].startsWith("-") ? process.argv[2] : null;
@@ -70,16 +84,46 @@ if (command === "install-endpoint") {
   }
 }
 
+// Flags that are not given are left null so the config file applies
 const root = arg("--root") || process.cwd();
+const config = arg("--config") || null;
 const outDir = arg("--out") || null;
 const siteUrl = arg("--site") || null;
 const maxCount = arg("--max") ? parseInt(arg("--max"), 10) : null;
 const since = arg("--since") || null;
 const keep = arg("--keep") || null;
-const stripBranch = hasFlag("--strip-branch");
+const stripBranch = hasFlag("--strip-branch") || null;
 const confidential = arg("--confidential") || null;
 const hide = arg("--hide") || null;
-const force = hasFlag("--force") || hasFlag("--f");
+const redactDetectors = arg("--redact") || null;
+const internalDomains = arg("--internal-domains") || null;
+const reprocess = hasFlag("--reprocess") || null;
+const force = hasFlag("--force") || hasFlag("--f") || null;
+const dryRun = hasFlag("--dry-run") || null;
+const groupBy = arg("--group-by") || null;
+const timezone = arg("--timezone") || null;
+const formats = arg("--formats") || null;
+const changelog = arg("--changelog") || null;
+const htmlTemplate = arg("--html-template") || null;
+const granularity = arg("--granularity") || null;
+const feedLimit = positiveIntArg("--feed-limit");
+const authors = hasFlag("--authors") || null;
+const authorsAllow = arg("--authors-allow") || null;
+const anonymizeAuthors = hasFlag("--anonymize-authors") || null;
+const paths = arg("--paths") || null;
+const title = arg("--title") || null;
+const description = arg("--description") || null;
+const link = arg("--link") || null;
+const language = arg("--language") || null;
+const copyright = arg("--copyright") || null;
+const image = arg("--image") || null;
+const favicon = arg("--favicon") || null;
+const author = arg("--author") || null;
+const categories = arg("--categories") || null;
+const ttl = positiveIntArg("--ttl");
+const titleTemplate = arg("--title-template") || null;
+const pointTemplate = arg("--point-template") || null;
+const locale = arg("--locale") || null;
 
 // Display help if requested
 if (process.argv.includes("--help") || process.argv.includes("-h")) {
@@ -92,9 +136,12 @@ Usage:
 Commands:
   install             Install git hooks in the current repository
   install-endpoint    Install dynamic API endpoints for your framework (Next.js, Express, etc.)
+  workspaces          Generate one feed per workspace package, plus an index at the root
+  check               Exit with an error when the generated files are out of date (for CI)
   
 Options:
   --root <path>          Repository root path (default: current directory)
+  --config <path>        Config file (default: .git2feed, git2feed.config.js or "git2feed" in package.json)
   --out <path>           Output directory (auto-detected based on project type)
   --site <url>           Site URL for RSS feed (default: empty or from env)
   --max <num>            Maximum number of commits to process (default: 2000)
@@ -103,7 +150,40 @@ Options:
   --strip-branch         Remove branch names from commit messages (e.g. "[branch]: Message" → "Message")
   --confidential <list>  Replace confidential terms with "--confidential--" (comma-separated)
   --hide <list>          Completely hide specific terms (comma-separated)
+  --redact [list]        Redact emails, internal hosts, IPs, tokens and ticket URLs
+                         (all by default, or some of: email,hostname,ip,token,ticket-url)
+  --internal-domains <list> Extra private domains for the hostname detector (e.g. corp.example.com)
+  --reprocess            After a redaction rule change, process published commits again from their
+                         message (by default the new rules apply to the published text)
   --force, --f           Force regeneration of all files, ignoring previously processed commits
+  --dry-run              Report added, dropped and redacted commits and diff every output file,
+                         without writing anything
+  --group-by <mode>      Group entries by "day" (default), "week", "month", "release" (git tags)
+                         or "none" (one entry per commit)
+  --timezone <zone>      IANA time zone of days, for grouping and feed dates (default: the machine's)
+  --formats <list>       Files to write: txt,json,rss,atom,jsonfeed,html (default: txt,json,rss,html)
+  --html-template <path> Custom template for updates.html ({{title}}, {{head}}, {{content}}, ...)
+  --granularity <mode>   Feed items per "day" (default, one per day or release) or per "commit"
+  --feed-limit <num>     Items kept in updates.json and the feeds, older ones go to yearly archives
+                         (updates-2024.rss, ...) linked per RFC 5005 (default: no limit)
+  --changelog [path]     Also maintain a Keep a Changelog file (default: CHANGELOG.md in root)
+  --authors              Credit commit authors and co-authors (names only, resolved via .mailmap)
+  --authors-allow <list> Only show these authors (names or emails, comma-separated), others are anonymised
+  --anonymize-authors    Show every author as "Anonymous contributor"
+  --paths <list>         Only include commits touching these paths (comma-separated, e.g. packages/api)
+  --title <text>         Title of the feeds and HTML page (default: "<package name> updates")
+  --description <text>   Description of the feeds and HTML page (default: package.json description)
+  --link <url>           Public URL of the changelog page (default: <site>/updates or package.json homepage)
+  --language <code>      Language of the feeds and HTML page (e.g. en, fr-FR)
+  --copyright <text>     Copyright notice of the feeds (default: from package.json author)
+  --image <url>          Image (logo) of the feeds
+  --favicon <url>        Favicon of the feeds
+  --author <author>      Author of the feeds, as "Name <email> (url)" (default: package.json author)
+  --categories <list>    Categories of the feeds (comma-separated)
+  --ttl <minutes>        How long RSS readers may cache the feed
+  --title-template <t>   Item titles, e.g. "What's new – {date:MMMM d, yyyy}" ({date}, {version}, {heading})
+  --point-template <t>   Points, e.g. "{point} ({hash:7})" ({point}, {type}, {scope}, {subject}, {hash}, {link})
+  --locale <code>        date-fns locale of {date:...} formats, e.g. fr or en-GB (default: --language)
   --help, -h             Show this help message
 
 Created by Aurélien Rommelaere (https://arommelaere.com)
@@ -111,8 +191,9 @@ Created by Aurélien Rommelaere (https://arommelaere.com)
   process.exit(0);
 }
 
-generateUpdates({
+const options = {
   root,
+  config,
   outDir,
   siteUrl,
   maxCount,
@@ -121,15 +202,158 @@ generateUpdates({
   stripBranch,
   confidential,
   hide,
+  redactDetectors,
+  internalDomains,
+  reprocess,
   force,
-})
-  .then(({ outDir, txtPath, jsonPath, rssPath }) => {
-    console.log(`✅ Successfully generated updates files in ${outDir}:`);
-    console.log(`   - ${txtPath}`);
-    console.log(`   - ${jsonPath}`);
-    console.log(`   - ${rssPath}`);
-    process.exit(0);
-  })
+  dryRun,
+  groupBy,
+  timezone,
+  formats,
+  changelog,
+  htmlTemplate,
+  granularity,
+  feedLimit,
+  authors,
+  authorsAllow,
+  anonymizeAuthors,
+  paths,
+  title,
+  description,
+  link,
+  language,
+  copyright,
+  image,
+  favicon,
+  author,
+  categories,
+  ttl,
+  titleTemplate,
+  pointTemplate,
+  locale,
+};
+
+// Prints the files written for one feed
+function printFiles(result) {
+  for (const file of [
+    result.txtPath,
+    result.jsonPath,
+    result.rssPath,
+    result.atomPath,
+    result.jsonFeedPath,
+    result.htmlPath,
+    result.changelogPath,
+    ...Object.values(result.pluginPaths || {}),
+    ...(result.archivePaths || []),
+  ]) {
+    if (file) console.log(`   - ${file}`);
+  }
+}
+
+// Prints what a dry run of one feed would change
+function printDryRun(result) {
+  const { added, dropped, redacted, files } = result.dryRun;
+  const short = (hash) => hash.slice(0, 7);
+  const subject = (message) => message.trim().split("\n")[0];
+
+  console.log(`   ${added.length} commit(s) would be added:`);
+  for (const commit of added) {
+    console.log(`     + ${short(commit.hash)} ${commit.point}`);
+  }
+  console.log(`   ${dropped.length} commit(s) would be dropped:`);
+  for (const commit of dropped) {
+    console.log(
+      `     - ${short(commit.hash)} ${subject(commit.message)} (${
+        commit.reason
+      })`
+    );
+  }
+  console.log(`   ${redacted.length} commit(s) would be redacted:`);
+  for (const commit of redacted) {
+    console.log(`     * ${short(commit.hash)} ${subject(commit.message)}`);
+    for (const hit of commit.rules) {
+      console.log(`         ${hit.rule}: ${hit.matches.join(", ")}`);
+    }
+  }
+
+  const changed = files.filter((file) => file.status !== "unchanged");
+  console.log(
+    `   ${changed.length} file(s) would change, ${
+      files.length - changed.length
+    } unchanged`
+  );
+  for (const file of changed) {
+    console.log(`\n${file.diff.trimEnd()}`);
+  }
+}
+
+// Prints the outcome of one feed
+function printResult(result) {
+  if (result.dryRun) printDryRun(result);
+  else printFiles(result);
+}
+
+// Prints the commits and files a feed is missing
+function printCheck(feed) {
+  const label = feed.name ? `${feed.name} (${feed.outDir})` : feed.outDir;
+  if (!feed.missing.length && !feed.files.length) {
+    console.log(`✅ ${label} is up to date`);
+    return;
+  }
+  console.log(`❌ ${label} is out of date:`);
+  if (feed.missing.length) {
+    console.log(`   ${feed.missing.length} commit(s) missing:`);
+    for (const commit of feed.missing) {
+      console.log(`     + ${commit.hash.slice(0, 7)} ${commit.point}`);
+    }
+  }
+  if (feed.files.length) {
+    console.log(`   ${feed.files.length} file(s) to regenerate:`);
+    for (const file of feed.files) {
+      console.log(`     ${file.status}: ${file.path}`);
+    }
+  }
+}
+
+if (dryRun) console.log("🔍 Dry run: no file is written");
+
+let run;
+if (command === "check") {
+  run = checkUpdates(options).then((result) => {
+    for (const feed of result.feeds) printCheck(feed);
+    if (!result.ok) {
+      console.error(
+        "❌ Generated files are stale: run git2feed and commit them (git2feed --dry-run shows the diff)"
+      );
+      process.exit(1);
+    }
+  });
+} else if (command === "workspaces") {
+  run = generateWorkspaces(options).then((result) => {
+    for (const workspace of result.workspaces) {
+      console.log(`✅ ${workspace.name}: ${workspace.outDir}`);
+      printResult(workspace);
+    }
+    if (result.indexPath) {
+      console.log(`✅ Workspaces index: ${result.indexPath}`);
+    }
+  });
+} else {
+  run = generateFeeds(options).then((results) => {
+    // Several results when the config file defines named feeds
+    for (const result of results) {
+      console.log(
+        result.name
+          ? `✅ ${result.name}: ${result.outDir}`
+          : `✅ Successfully generated updates files in ${result.outDir}:`
+      );
+      printResult(result);
+    }
+  });
+}
+
+run
+  .then(() => process.exit(0))
   .catch((e) => {
     console.error(`❌ Error generating updates:`);
     console.error(e?.stack || e?.message || e);
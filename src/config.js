@@ -0,0 +1,352 @@
+/**
+ * git2feed - Configuration module (.git2feed, git2feed.config.js, package.json)
+ *
+ * @author Aurélien Rommelaere <https://arommelaere.com>
+ * @license MIT
+ */
+
+import fs from "fs";
+import path from "path";
+import { pathToFileURL } from "url";
+import { readJSON } from "./detect.js";
+import { GRANULARITIES } from "./render.js";
+import { DETECTORS } from "./redact.js";
+import { GROUP_BY } from "./dates.js";
+
+/** Config files, in lookup order (package.json "git2feed" key comes last) */
+export const CONFIG_FILES = [".git2feed", "git2feed.config.js"];
+
+/**
+ * Generation options accepted in a config file. Types are "string",
+ * "number", "boolean", "array" or "list" (comma-separated string or array of
+ * strings).
+ */
+export const CONFIG_SCHEMA = {
+  outDir: { type: "string" },
+  siteUrl: { type: "string" },
+  maxCount: { type: "number" },
+  since: { type: "string" },
+  keep: { type: "string" },
+  stripBranch: { type: "boolean" },
+  confidential: { type: "list" },
+  hide: { type: "list" },
+  redact: { type: "array" },
+  redactDetectors: {
+    type: ["boolean", "list"],
+    values: Object.keys(DETECTORS),
+  },
+  internalDomains: { type: "list" },
+  reprocess: { type: "boolean" },
+  force: { type: "boolean" },
+  dryRun: { type: "boolean" },
+  groupBy: { type: "string", values: GROUP_BY },
+  timezone: { type: "string" },
+  // Plugins may add formats, so these are checked by parseFormats
+  formats: { type: "list" },
+  changelog: { type: ["boolean", "string"] },
+  htmlTemplate: { type: "string" },
+  granularity: { type: "string", values: GRANULARITIES },
+  feedLimit: { type: "number" },
+  authors: { type: "boolean" },
+  authorsAllow: { type: "list" },
+  anonymizeAuthors: { type: "boolean" },
+  paths: { type: "list" },
+  title: { type: "string" },
+  description: { type: "string" },
+  link: { type: "string" },
+  language: { type: "string" },
+  copyright: { type: "string" },
+  image: { type: "string" },
+  favicon: { type: "string" },
+  author: { type: ["string", "object"] },
+  categories: { type: "list" },
+  ttl: { type: "number" },
+  titleTemplate: { type: "string" },
+  pointTemplate: { type: "string" },
+  locale: { type: "string" },
+  plugins: { type: "array" },
+};
+
+/** Git hook settings, read by install-hooks.js from .git2feed */
+export const HOOK_SCHEMA = {
+  command: { type: "string" },
+  outputFiles: { type: "list" },
+  addToCommit: { type: "boolean" },
+  hookMessage: { type: "string" },
+  verbose: { type: "boolean" },
+  hookTypes: { type: "list" },
+  debug: { type: "boolean" },
+};
+
+/** CLI flag names that differ from their config key */
+const ALIASES = {
+  out: "outDir",
+  site: "siteUrl",
+  max: "maxCount",
+};
+
+/**
+ * Suggests the config key a misspelled key was probably meant to be
+ * @param {string} key
+ * @param {Object<string, object>} schema
+ * @returns {string|null}
+ */
+function suggestKey(key, schema) {
+  const normalize = (k) => k.toLowerCase().replace(/[-_]/g, "");
+  const alias = ALIASES[key.replace(/^--/, "")];
+  if (alias && schema[alias]) return alias;
+  return (
+    Object.keys(schema).find((k) => normalize(k) === normalize(key)) || null
+  );
+}
+
+/**
+ * Describes the type of a value for error messages
+ * @param {any} value
+ * @returns {string}
+ */
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+/**
+ * Checks a value against one schema rule
+ * @param {any} value
+ * @param {{type: string|string[], values?: string[]}} rule
+ * @returns {string|null} Problem description, or null if the value is valid
+ */
+function checkValue(value, rule) {
+  const types = Array.isArray(rule.type) ? rule.type : [rule.type];
+  const matches = types.some((type) => {
+    if (type === "list") {
+      return (
+        typeof value === "string" ||
+        (Array.isArray(value) && value.every((v) => typeof v === "string"))
+      );
+    }
+    if (type === "number") return typeof value === "number" && !isNaN(value);
+    if (type === "array") return Array.isArray(value);
+    return typeof value === type;
+  });
+
+  if (!matches) {
+    const expected = types
+      .map((t) => {
+        if (t === "list") return "a string or an array of strings";
+        return t === "array" ? "an array" : `a ${t}`;
+      })
+      .join(" or ");
+    return `must be ${expected} (got ${typeOf(value)})`;
+  }
+
+  if (rule.values && typeof value !== "boolean") {
+    const list = Array.isArray(value) ? value : String(value).split(",");
+    const unknown = list
+      .map((v) => v.trim())
+      .filter((v) => v && !rule.values.includes(v));
+    if (unknown.length) {
+      return `has unknown value(s) ${unknown
+        .map((v) => `"${v}"`)
+        .join(", ")} (expected ${rule.values.join(", ")})`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Collects the problems of an options object against a schema
+ * @param {object} options
+ * @param {Object<string, object>} schema
+ * @param {string} prefix - Key prefix for messages (e.g. `feeds.api.`)
+ * @returns {string[]}
+ */
+function checkOptions(options, schema, prefix = "") {
+  const problems = [];
+  for (const [key, value] of Object.entries(options)) {
+    const rule = schema[key];
+    if (!rule) {
+      const suggestion = suggestKey(key, schema);
+      problems.push(
+        `unknown key "${prefix}${key}"` +
+          (suggestion ? ` (did you mean "${prefix}${suggestion}"?)` : "")
+      );
+      continue;
+    }
+    const problem = checkValue(value, rule);
+    if (problem) problems.push(`"${prefix}${key}" ${problem}`);
+  }
+  return problems;
+}
+
+/**
+ * Collects the problems of the `feeds` key (see generateFeeds)
+ * @param {any} feeds
+ * @returns {string[]}
+ */
+function checkFeeds(feeds) {
+  const isObject = (v) => v && typeof v === "object" && !Array.isArray(v);
+
+  if (Array.isArray(feeds)) {
+    return feeds.flatMap((feed, i) => {
+      if (!isObject(feed)) return [`"feeds[${i}]" must be an object`];
+      const { name, ...options } = feed;
+      const problems = checkOptions(options, CONFIG_SCHEMA, `feeds[${i}].`);
+      if (typeof name !== "string" || !name) {
+        problems.unshift(`"feeds[${i}].name" must be a non-empty string`);
+      }
+      return problems;
+    });
+  }
+
+  if (!isObject(feeds)) {
+    return [`"feeds" must be an object of named feeds or an array`];
+  }
+
+  return Object.entries(feeds).flatMap(([name, feed]) =>
+    isObject(feed)
+      ? checkOptions(feed, CONFIG_SCHEMA, `feeds.${name}.`)
+      : [`"feeds.${name}" must be an object`]
+  );
+}
+
+/**
+ * Validates a configuration object
+ * @param {any} config - Parsed configuration
+ * @param {string} [source] - Where the configuration comes from, for messages
+ * @returns {object} The configuration, when valid
+ * @throws {Error} Listing every unknown key and wrong type
+ */
+export function validateConfig(config, source = "config") {
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    throw new Error(`Invalid git2feed config in ${source}: expected an object`);
+  }
+
+  const { feeds, ...options } = config;
+  const problems = checkOptions(options, { ...CONFIG_SCHEMA, ...HOOK_SCHEMA });
+  if (feeds !== undefined) problems.push(...checkFeeds(feeds));
+
+  if (problems.length) {
+    throw new Error(
+      `Invalid git2feed config in ${source}:\n${problems
+        .map((p) => `  - ${p}`)
+        .join("\n")}`
+    );
+  }
+
+  return config;
+}
+
+/**
+ * Reads a config file: JSON for .git2feed (or any non-JS file), a default
+ * export (object or function returning one) for JavaScript files
+ * @param {string} file - Absolute path
+ * @returns {Promise<object>}
+ */
+async function readConfigFile(file) {
+  if (/\.(c|m)?js$/.test(file)) {
+    const mod = await import(pathToFileURL(file).href);
+    const config = mod.default !== undefined ? mod.default : mod;
+    return typeof config === "function" ? await config() : config;
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Loads and validates the configuration of a project. Without an explicit
+ * file, the first of .git2feed, git2feed.config.js and the "git2feed" key of
+ * package.json is used.
+ * @param {string} root - Project root
+ * @param {string} [file] - Config file, relative to root
+ * @returns {Promise<{config: object, source: string|null}>} Empty config and
+ *   null source when there is none
+ */
+export async function loadConfig(root, file = null) {
+  if (file) {
+    const resolved = path.resolve(root, file);
+    if (!fs.existsSync(resolved)) {
+      throw new Error(`Config file not found: ${resolved}`);
+    }
+    return {
+      config: validateConfig(await readConfigFile(resolved), resolved),
+      source: resolved,
+    };
+  }
+
+  for (const name of CONFIG_FILES) {
+    const candidate = path.join(root, name);
+    if (fs.existsSync(candidate)) {
+      return {
+        config: validateConfig(await readConfigFile(candidate), name),
+        source: candidate,
+      };
+    }
+  }
+
+  const pkg = readJSON(path.join(root, "package.json"));
+  if (pkg && pkg.git2feed !== undefined) {
+    return {
+      config: validateConfig(
+        pkg.git2feed,
+        'the "git2feed" key of package.json'
+      ),
+      source: path.join(root, "package.json"),
+    };
+  }
+
+  return { config: {}, source: null };
+}
+
+/**
+ * Merges options over a configuration: options that are null or undefined
+ * (e.g. CLI flags that were not given) fall back to the configuration
+ * @param {object} config
+ * @param {object} options
+ * @returns {object}
+ */
+export function mergeConfig(config, options) {
+  const merged = { ...config };
+  for (const [key, value] of Object.entries(options)) {
+    if (value !== null && value !== undefined) merged[key] = value;
+  }
+  return merged;
+}
+
+/**
+ * Returns the public site URL: the siteUrl option, then the
+ * NEXT_PUBLIC_SITE_URL or SITE_URL environment variable
+ * @param {object} options
+ * @returns {string} Empty when unknown
+ */
+export function resolveSiteUrl(options = {}) {
+  return (
+    options.siteUrl ||
+    process.env.NEXT_PUBLIC_SITE_URL ||
+    process.env.SITE_URL ||
+    ""
+  );
+}
+
+/**
+ * Resolves the options of a run: loads the project configuration (unless
+ * `options.config` is false) and merges the given options over it
+ * @param {object} options - generateUpdates options; `config` may name the
+ *   config file, relative to root
+ * @returns {Promise<object>} Options, with `config: false` so they aren't
+ *   merged twice, and `root` (the current directory by default)
+ */
+export async function resolveOptions(options = {}) {
+  const root = options.root || process.cwd();
+  if (options.config === false) return { ...options, root };
+  const { config } = await loadConfig(root, options.config || null);
+  // Paths in the config are relative to the project root
+  if (config.outDir) config.outDir = path.resolve(root, config.outDir);
+  return { ...mergeConfig(config, options), root, config: false };
+}
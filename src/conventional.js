@@ -0,0 +1,253 @@
+/**
+ * git2feed - Conventional Commits parsing module
+ *
+ * @author Aurélien Rommelaere <https://arommelaere.com>
+ * @license MIT
+ */
+
+import { changelogTrailers } from "./trailers.js";
+
+/**
+ * Changelog sections in display order. Breaking changes always come first,
+ * whatever their type; commits without a recognised type end up in "other".
+ */
+export const SECTIONS = [
+  { key: "breaking", title: "Breaking changes" },
+  { key: "feat", title: "Features" },
+  { key: "fix", title: "Fixes" },
+  { key: "perf", title: "Performance" },
+  { key: "security", title: "Security" },
+  { key: "revert", title: "Reverts" },
+  { key: "docs", title: "Documentation" },
+  { key: "other", title: "Other changes" },
+];
+
+const KNOWN_TYPES = [
+  "feat",
+  "fix",
+  "perf",
+  "security",
+  "revert",
+  "docs",
+  "style",
+  "test",
+  "refactor",
+  "build",
+  "ci",
+  "chore",
+  "deps",
+];
+
+const HEADER_RE = /^(\w+)(?:\(([^)]*)\))?(!)?:\s*(.+)$/;
+const BREAKING_FOOTER_RE = /^BREAKING[ -]CHANGE:\s*/m;
+
+/**
+ * Parses a commit message following the Conventional Commits specification
+ * @param {string} message - Commit subject (first line)
+ * @param {string} [body] - Commit body, searched for BREAKING CHANGE footers
+ * @returns {{type: string|null, scope: string|null, breaking: boolean, subject: string}}
+ */
+export function parseConventionalCommit(message, body = "") {
+  const text = (message || "").trim().split("\n")[0].trim();
+  const breakingFooter = BREAKING_FOOTER_RE.test(body || "");
+  const match = text.match(HEADER_RE);
+
+  if (!match || !KNOWN_TYPES.includes(match[1].toLowerCase())) {
+    return { type: null, scope: null, breaking: breakingFooter, subject: text };
+  }
+
+  return {
+    type: match[1].toLowerCase(),
+    scope: match[2] ? match[2].trim() : null,
+    breaking: Boolean(match[3]) || breakingFooter,
+    subject: match[4].trim(),
+  };
+}
+
+/**
+ * Decides whether a commit is published. `Changelog:` / `Changelog-Type:`
+ * trailers take precedence over the keep filter.
+ * @param {{message: string, body?: string}} commit - Commit as returned by simple-git
+ * @param {function(string): boolean} keepMsg - Keep filter for the subject
+ * @returns {boolean}
+ */
+export function keepCommit(commit, keepMsg) {
+  const trailers = changelogTrailers(commit.body);
+  if (trailers.skip) return false;
+  if (trailers.text || trailers.type) return true;
+  return keepMsg(commit.message);
+}
+
+/**
+ * Parses a commit into an entry, applying its changelog trailers: the
+ * `Changelog:` text replaces the subject (its own type wins if it has one)
+ * and `Changelog-Type:` replaces the type.
+ * @param {{message: string, body?: string}} commit - Commit as returned by simple-git
+ * @param {function(string): string} [processMessage] - Branch stripping and redaction
+ * @returns {{type: string|null, scope: string|null, breaking: boolean, subject: string}}
+ */
+export function parseCommit(commit, processMessage = (m) => m.trim()) {
+  const trailers = changelogTrailers(commit.body);
+  let entry = parseConventionalCommit(
+    processMessage(commit.message.trim()),
+    commit.body
+  );
+
+  if (trailers.text) {
+    const text = parseConventionalCommit(processMessage(trailers.text));
+    if (text.type) {
+      entry = { ...text, breaking: text.breaking || entry.breaking };
+    } else {
+      // Internal types (chore, ci…) have no place next to a public wording
+      const visible = SECTIONS.some((s) => s.key === entry.type);
+      entry = {
+        ...entry,
+        type: visible ? entry.type : null,
+        scope: visible ? entry.scope : null,
+        subject: text.subject,
+      };
+    }
+  }
+
+  if (trailers.type === "breaking") {
+    entry.breaking = true;
+  } else if (trailers.type) {
+    entry.type = trailers.type;
+  }
+
+  return entry;
+}
+
+/**
+ * Returns the section key an entry belongs to
+ * @param {{type: string|null, breaking: boolean}} entry
+ * @returns {string} Key of one of SECTIONS
+ */
+export function sectionKey(entry) {
+  if (entry.breaking) return "breaking";
+  if (SECTIONS.some((s) => s.key === entry.type)) return entry.type;
+  return "other";
+}
+
+/**
+ * Finds the section matching a heading as written in updates.txt
+ * @param {string} title - Section title (e.g. "Features")
+ * @returns {object|null} Section or null if the title is unknown
+ */
+export function sectionByTitle(title) {
+  return SECTIONS.find((s) => s.title === title) || null;
+}
+
+/**
+ * Formats an entry as a single changelog point. Inside its own type section
+ * the type is implied ("scope: subject"); in the breaking and "other"
+ * sections the conventional header is kept so the type is not lost.
+ * @param {{type: string|null, scope: string|null, subject: string}} entry
+ * @returns {string}
+ */
+export function formatPoint(entry) {
+  if (entry.type && sectionKey(entry) !== entry.type) {
+    return `${entry.type}${entry.scope ? `(${entry.scope})` : ""}: ${
+      entry.subject
+    }`;
+  }
+  return entry.scope ? `${entry.scope}: ${entry.subject}` : entry.subject;
+}
+
+/**
+ * Turns a point read back from updates.txt into an entry (inverse of formatPoint)
+ * @param {string} point - Point text without its bullet
+ * @param {object|null} section - Section the point was listed under, if any
+ * @returns {{type: string|null, scope: string|null, breaking: boolean, subject: string}}
+ */
+export function parsePoint(point, section = null) {
+  if (!section || section.key === "breaking" || section.key === "other") {
+    const entry = parseConventionalCommit(point);
+    if (section && section.key === "breaking") entry.breaking = true;
+    return entry;
+  }
+
+  const match = point.match(/^([\w$.\/-]+):\s+(.+)$/);
+  return {
+    type: section.key,
+    scope: match ? match[1] : null,
+    breaking: false,
+    subject: match ? match[2] : point,
+  };
+}
+
+/**
+ * Groups entries into ordered, non-empty changelog sections
+ * @param {Array<object>} entries - Parsed entries
+ * @returns {Array<{key: string, title: string, entries: Array<object>}>}
+ */
+export function groupBySection(entries) {
+  return SECTIONS.map((section) => ({
+    ...section,
+    entries: entries.filter((e) => sectionKey(e) === section.key),
+  })).filter((section) => section.entries.length > 0);
+}
+
+/**
+ * Whether the entries carry enough type information to be worth splitting
+ * into sections. Untyped days keep the historical flat list layout.
+ * @param {Array<object>} entries
+ * @returns {boolean}
+ */
+export function hasSections(entries) {
+  return entries.some((e) => e.type || e.breaking);
+}
+
+/**
+ * Formats entries as text lines, with "Title:" headings when sections apply
+ * @param {Array<object>} entries - Parsed entries
+ * @param {string} [bullet] - Prefix for each point
+ * @param {function(object): string} [format] - Formats a point (see
+ *   pointFormatter)
+ * @returns {string[]}
+ */
+export function formatEntries(entries, bullet = "- ", format = formatPoint) {
+  if (!hasSections(entries)) {
+    return entries.map((e) => bullet + format(e));
+  }
+
+  const lines = [];
+  for (const section of groupBySection(entries)) {
+    lines.push(`${section.title}:`);
+    lines.push(...section.entries.map((e) => bullet + format(e)));
+  }
+  return lines;
+}
+
+/**
+ * Key identifying the point an entry renders as, section included
+ * @param {object} entry
+ * @returns {string}
+ */
+export function entryKey(entry) {
+  return `${sectionKey(entry)}\u0000${formatPoint(entry)}`;
+}
+
+/**
+ * Removes entries that would render as the same point in the same section.
+ * Authors of the removed duplicates are credited on the entry that is kept.
+ * @param {Array<object>} entries
+ * @returns {Array<object>}
+ */
+export function dedupeEntries(entries) {
+  const kept = new Map();
+  for (const e of entries) {
+    const key = entryKey(e);
+    const first = kept.get(key);
+    if (!first) {
+      kept.set(key, { ...e });
+    } else if (e.authors) {
+      const names = new Set((first.authors || []).map((a) => a.name));
+      first.authors = [
+        ...(first.authors || []),
+        ...e.authors.filter((a) => !names.has(a.name)),
+      ];
+    }
+  }
+  return [...kept.values()];
+}
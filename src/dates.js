@@ -0,0 +1,134 @@
+/**
+ * git2feed - Date bucketing module (time zones, day/week/month periods)
+ *
+ * Days are computed in one IANA time zone (the machine's by default) so that
+ * grouping and feed dates agree, whatever machine generates the files.
+ *
+ * @author Aurélien Rommelaere <https://arommelaere.com>
+ * @license MIT
+ */
+
+/** Calendar periods entries can be grouped by */
+export const PERIODS = ["day", "week", "month"];
+
+/** Grouping modes: a period, git tags ("release"), or one item per commit */
+export const GROUP_BY = [...PERIODS, "release", "none"];
+
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Validates a time zone, defaulting to the machine's
+ * @param {string|null} [timeZone] - IANA time zone (e.g. "Europe/Paris")
+ * @returns {string}
+ * @throws {Error} If the time zone is unknown
+ */
+export function resolveTimeZone(timeZone) {
+  if (!timeZone) return Intl.DateTimeFormat().resolvedOptions().timeZone;
+  try {
+    return new Intl.DateTimeFormat("en-US", { timeZone }).resolvedOptions()
+      .timeZone;
+  } catch {
+    throw new Error(
+      `Unknown time zone "${timeZone}" (expected an IANA zone such as Europe/Paris or UTC)`
+    );
+  }
+}
+
+/**
+ * Returns the wall clock time of an instant in a time zone
+ * @param {Date} date
+ * @param {string} [timeZone]
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}}
+ */
+function zonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(date);
+  const get = (type) => Number(parts.find((p) => p.type === type).value);
+  return {
+    year: get("year"),
+    month: get("month"),
+    day: get("day"),
+    hour: get("hour"),
+    minute: get("minute"),
+    second: get("second"),
+  };
+}
+
+/**
+ * Formats calendar fields as yyyy-MM-dd
+ * @param {number} year
+ * @param {number} month - 1 to 12
+ * @param {number} day
+ * @returns {string}
+ */
+function formatDay(year, month, day) {
+  return [
+    String(year).padStart(4, "0"),
+    String(month).padStart(2, "0"),
+    String(day).padStart(2, "0"),
+  ].join("-");
+}
+
+/**
+ * Returns the day of a date in a time zone. Days read back from a heading
+ * ("2025-01-01") are returned as is.
+ * @param {string|Date} date - ISO date
+ * @param {string} [timeZone] - IANA time zone, the machine's by default
+ * @returns {string} yyyy-MM-dd
+ */
+export function dayOf(date, timeZone) {
+  if (typeof date === "string" && DAY_RE.test(date)) return date;
+  const { year, month, day } = zonedParts(new Date(date), timeZone);
+  return formatDay(year, month, day);
+}
+
+/**
+ * Returns the first day of the period a day belongs to: itself, the Monday
+ * of its ISO week, or the first day of its month
+ * @param {string} day - yyyy-MM-dd
+ * @param {string} period - One of PERIODS
+ * @returns {string} yyyy-MM-dd
+ */
+export function periodStart(day, period) {
+  const [year, month, date] = day.split("-").map(Number);
+  if (period === "month") return formatDay(year, month, 1);
+  if (period !== "week") return day;
+
+  const utc = new Date(Date.UTC(year, month - 1, date));
+  utc.setUTCDate(utc.getUTCDate() - ((utc.getUTCDay() + 6) % 7));
+  return formatDay(
+    utc.getUTCFullYear(),
+    utc.getUTCMonth() + 1,
+    utc.getUTCDate()
+  );
+}
+
+/**
+ * Returns the instant a day starts at in a time zone, used as the date of
+ * day, week and month feed items
+ * @param {string} day - yyyy-MM-dd
+ * @param {string} [timeZone] - IANA time zone, the machine's by default
+ * @returns {Date}
+ */
+export function startOfDay(day, timeZone) {
+  const [year, month, date] = day.split("-").map(Number);
+  const midnight = Date.UTC(year, month - 1, date);
+  const offsetAt = (instant) => {
+    const p = zonedParts(new Date(instant), timeZone);
+    return (
+      Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) -
+      Math.floor(instant / 1000) * 1000
+    );
+  };
+  // The offset may change at the guessed instant (daylight saving time)
+  const guess = midnight - offsetAt(midnight);
+  return new Date(midnight - offsetAt(guess));
+}
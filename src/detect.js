@@ -13,7 +13,7 @@ import path from "path";
  * @param {string} p - Path to the JSON file
  * @returns {object|null} Parsed JSON or null if file doesn't exist or is invalid
  */
-function readJSON(p) {
+export function readJSON(p) {
   try {
     return JSON.parse(fs.readFileSync(p, "utf8"));
   } catch {
@@ -0,0 +1,166 @@
+/**
+ * git2feed - Unified diff module, for dry runs
+ *
+ * @author Aurélien Rommelaere <https://arommelaere.com>
+ * @license MIT
+ */
+
+/**
+ * Edit distance above which lines are reported as replaced as a whole: the
+ * backtracking trace grows with its square (a few MB at this limit), and
+ * files rewritten that much (e.g. after an index migration) read no better
+ * line by line
+ */
+const MAX_EDITS = 1000;
+
+/**
+ * Computes the shortest edit script between two lists of lines (Myers'
+ * algorithm), or removes all old lines and adds all new ones when they
+ * differ by more than MAX_EDITS lines
+ * @param {string[]} a - Old lines
+ * @param {string[]} b - New lines
+ * @returns {Array<{op: " "|"-"|"+", line: string}>}
+ */
+function diffLines(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const offset = n + m + 1;
+  const v = new Int32Array(2 * offset + 1);
+  // Furthest x per diagonal before each step, for backtracking
+  const trace = [];
+
+  let found = -1;
+  for (let d = 0; d <= n + m && found < 0; d++) {
+    if (d > MAX_EDITS) {
+      return [
+        ...a.map((line) => ({ op: "-", line })),
+        ...b.map((line) => ({ op: "+", line })),
+      ];
+    }
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      let x =
+        k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+          ? v[offset + k + 1]
+          : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        found = d;
+        break;
+      }
+    }
+  }
+
+  const ops = [];
+  let x = n;
+  let y = m;
+  for (let d = found; d >= 0; d--) {
+    const at = (k) => trace[d][k + d + 1];
+    const k = x - y;
+    const prevK =
+      k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+    const prevX = d === 0 ? 0 : at(prevK);
+    const prevY = d === 0 ? 0 : prevX - prevK;
+    while (x > prevX && y > prevY) {
+      ops.push({ op: " ", line: a[--x] });
+      y--;
+    }
+    if (d > 0) {
+      if (x === prevX) ops.push({ op: "+", line: b[--y] });
+      else ops.push({ op: "-", line: a[--x] });
+    }
+  }
+  return ops.reverse();
+}
+
+/**
+ * Splits a file into lines, without the empty line after a final newline
+ * @param {string} text
+ * @returns {string[]}
+ */
+function toLines(text) {
+  if (!text) return [];
+  const lines = text.split("\n");
+  if (lines[lines.length - 1] === "") lines.pop();
+  return lines;
+}
+
+/**
+ * Renders the unified diff of two versions of a file
+ * @param {string|null} before - Content on disk, null if missing
+ * @param {string|null} after - Content to write, null if deleted
+ * @param {object} [options]
+ * @param {string} [options.file] - File name shown in the headers
+ * @param {number} [options.context] - Unchanged lines around changes
+ * @returns {string} Empty when both versions are the same
+ */
+export function unifiedDiff(before, after, options = {}) {
+  const file = options.file || "file";
+  const context = options.context === undefined ? 3 : options.context;
+  const a = toLines(before);
+  const b = toLines(after);
+
+  // Common head and tail lines don't need the edit script
+  let head = 0;
+  while (head < a.length && head < b.length && a[head] === b[head]) head++;
+  let tail = 0;
+  while (
+    tail < a.length - head &&
+    tail < b.length - head &&
+    a[a.length - 1 - tail] === b[b.length - 1 - tail]
+  ) {
+    tail++;
+  }
+  if (head === a.length && head === b.length) return "";
+
+  const ops = [
+    ...a.slice(0, head).map((line) => ({ op: " ", line })),
+    ...diffLines(
+      a.slice(head, a.length - tail),
+      b.slice(head, b.length - tail)
+    ),
+    ...a.slice(a.length - tail).map((line) => ({ op: " ", line })),
+  ];
+
+  // Group changes into hunks, merging those less than 2 contexts apart
+  const changed = ops
+    .map((op, i) => (op.op === " " ? -1 : i))
+    .filter((i) => i >= 0);
+  const hunks = [];
+  for (const i of changed) {
+    const last = hunks[hunks.length - 1];
+    if (last && i - last.end <= 2 * context) last.end = i;
+    else hunks.push({ start: i, end: i });
+  }
+
+  const lines = [
+    `--- ${before === null ? "/dev/null" : `a/${file}`}`,
+    `+++ ${after === null ? "/dev/null" : `b/${file}`}`,
+  ];
+  for (const hunk of hunks) {
+    const from = Math.max(0, hunk.start - context);
+    const to = Math.min(ops.length, hunk.end + context + 1);
+    // Line numbers where the hunk starts in each version
+    let oldLine = 1;
+    let newLine = 1;
+    for (const op of ops.slice(0, from)) {
+      if (op.op !== "+") oldLine++;
+      if (op.op !== "-") newLine++;
+    }
+    const slice = ops.slice(from, to);
+    const oldCount = slice.filter((op) => op.op !== "+").length;
+    const newCount = slice.filter((op) => op.op !== "-").length;
+    lines.push(
+      `@@ -${oldCount ? oldLine : oldLine - 1},${oldCount} +${
+        newCount ? newLine : newLine - 1
+      },${newCount} @@`
+    );
+    lines.push(...slice.map((op) => op.op + op.line));
+  }
+  return lines.join("\n") + "\n";
+}
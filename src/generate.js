@@ -7,73 +7,86 @@
 
 import fs from "fs";
 import path from "path";
-import simpleGit from "simple-git";
-import { format } from "date-fns";
-import { Feed } from "feed";
-import { detectOutDir } from "./detect.js";
+import simpleGit, { pathspec } from "simple-git";
+import { detectOutDir, readJSON } from "./detect.js";
+import { entryKey, formatPoint } from "./conventional.js";
+import { changelogTrailers } from "./trailers.js";
+import { readTagDates, readReleases } from "./releases.js";
+import { FORMATS } from "./render.js";
+import {
+  INDEX_VERSION,
+  recordEntry,
+  recordHeading,
+  readIndex,
+  migrateIndex,
+} from "./records.js";
+import { findWorkspaces } from "./workspaces.js";
+import { resolveOptions, resolveSiteUrl } from "./config.js";
+import { explainRedaction } from "./redact.js";
+import { loadPlugins, pluginRenderers } from "./plugins.js";
+import { findStaleRecords, patchIds, matchRewritten } from "./reconcile.js";
+import { resolveChannel } from "./channel.js";
+import { readMailmap, wantsAuthors } from "./authors.js";
+import { unifiedDiff } from "./diff.js";
+import { resolveBuildOptions, createProcessor, buildFeed } from "./build.js";
+import { INDEX_FILE, writeFeed } from "./write.js";
+
+export { buildFeed } from "./build.js";
+export { writeFeed } from "./write.js";
 
 export async function generateUpdates(options = {}) {
   try {
+    // Options given here take precedence over the project config file
+    options = await resolveOptions(options);
     const root = options.root || process.cwd();
     const outDir = options.outDir || path.join(root, detectOutDir(root));
-    const siteUrl =
-      options.siteUrl ||
-      process.env.NEXT_PUBLIC_SITE_URL ||
-      process.env.SITE_URL ||
-      "";
+    const siteUrl = resolveSiteUrl(options);
     const maxCount = Number(options.maxCount || 2000);
     const since = options.since || null;
-    const keepPattern = options.keep || null;
-    const stripBranch = options.stripBranch || false;
-    const confidentialItems = options.confidential
-      ? options.confidential
-          .split(",")
-          .map((item) => item.toLowerCase())
-          .filter(Boolean)
-      : [];
-    const hideItems = options.hide
-      ? options.hide
-          .split(",")
-          .map((item) => item.toLowerCase())
+    const force = options.force || false;
+    // Reports what would change instead of writing anything
+    const dryRun = options.dryRun || false;
+    // Dry runs that only need the contents (see checkUpdates) skip the diffs
+    const diffs = options.diffs !== false;
+    // Plugins may filter commits, transform entries and add renderers
+    const plugins = await loadPlugins(options.plugins, root);
+    // Grouping, time zone, formats... checked before git is read
+    const { groupBy, timeZone, formats } = resolveBuildOptions(
+      { ...options, siteUrl },
+      Object.keys(pluginRenderers(plugins))
+    );
+    const changelogFile = options.changelog
+      ? path.resolve(
+          root,
+          typeof options.changelog === "string"
+            ? options.changelog
+            : "CHANGELOG.md"
+        )
+      : null;
+    // Only commits touching these paths (relative to root) are included
+    const paths = options.paths
+      ? (Array.isArray(options.paths)
+          ? options.paths
+          : String(options.paths).split(",")
+        )
+          .map((p) => p.trim())
           .filter(Boolean)
       : [];
-    const force = options.force || false;
+    const htmlTemplateFile = options.htmlTemplate
+      ? path.resolve(root, options.htmlTemplate)
+      : null;
 
-    // Ensure output directory exists
-    if (!fs.existsSync(outDir)) {
-      fs.mkdirSync(outDir, { recursive: true });
+    if (htmlTemplateFile && !fs.existsSync(htmlTemplateFile)) {
+      throw new Error(`HTML template not found: ${htmlTemplateFile}`);
     }
 
-    const TXT = path.join(outDir, "updates.txt");
-    const JSON_FILE = path.join(outDir, "updates.json");
-    const RSS_FILE = path.join(outDir, "updates.rss");
-    const INDEX_FILE = path.join(outDir, "updates.index.json");
-
-    // Initialize files if they don't exist
-    if (!fs.existsSync(TXT)) fs.writeFileSync(TXT, "");
-
-    // Initialize or reset index file based on force flag
-    if (!fs.existsSync(INDEX_FILE) || force) {
-      fs.writeFileSync(INDEX_FILE, JSON.stringify({ seen: [] }, null, 2));
-
-      // If force flag is set, also reset the output files
-      if (force) {
-        if (fs.existsSync(TXT)) fs.writeFileSync(TXT, "");
-        if (fs.existsSync(JSON_FILE))
-          fs.writeFileSync(
-            JSON_FILE,
-            JSON.stringify(
-              { updated_at: new Date().toISOString(), items: [] },
-              null,
-              2
-            )
-          );
-        if (fs.existsSync(RSS_FILE)) fs.writeFileSync(RSS_FILE, "");
+    const TXT = path.join(outDir, FORMATS.txt.file);
+    const INDEX = path.join(outDir, INDEX_FILE);
 
-        console.log(
-          "🔄 Force flag detected: Resetting all previously processed commits..."
-        );
-      }
+    if (force) {
+      console.log(
+        "🔄 Force flag detected: Resetting all previously processed commits..."
+      );
     }
 
     // Get git log
@@ -86,166 +99,357 @@ export async function generateUpdates(options = {}) {
 
     const logOpts = { maxCount };
     if (since) logOpts.since = since;
+    if (paths.length) logOpts.paths = pathspec(...paths);
     const log = await git.log(logOpts);
+    const logByHash = new Map(log.all.map((c) => [c.hash, c]));
+    const tagDates = await readTagDates(git);
+    // Releases from the tag ancestry, whatever commits the log lists
+    const releases = await readReleases(git, tagDates);
+
+    // Everything buildFeed reads besides the commits
+    const pkg = readJSON(path.join(root, "package.json")) || {};
+    // Authors are resolved through the repository .mailmap, if any
+    const mailmap = wantsAuthors(options) ? readMailmap(root) : [];
+    const { keep, entryOf, recordOf, stripBranchName } = createProcessor(
+      options,
+      {
+        plugins,
+        mailmap,
+        releases,
+        // Passed to every plugin hook
+        context: {
+          root,
+          outDir,
+          siteUrl,
+          title: resolveChannel(options, { siteUrl, pkg }).title,
+          options,
+        },
+      }
+    );
 
-    // Load previously seen commits (or use empty array if force is enabled)
-    let seen;
-    if (force) {
-      // When force is true, ignore all previously seen commits
-      seen = new Set();
+    // Load the records of published commits. Version 1 indexes only listed
+    // seen hashes, the text living in updates.txt: both are migrated.
+    const index = (!force && readIndex(INDEX)) || {};
+    let records;
+    let skipped;
+    if (index.version === INDEX_VERSION) {
+      records = index.records || [];
+      skipped = index.skipped || [];
     } else {
-      let indexData;
-      try {
-        indexData = JSON.parse(fs.readFileSync(INDEX_FILE, "utf8"));
-      } catch (err) {
-        indexData = { seen: [] };
+      const txt =
+        !force && fs.existsSync(TXT) ? fs.readFileSync(TXT, "utf8") : "";
+      const seen = new Set(index.seen || []);
+      const candidates = log.all
+        .filter((c) => seen.has(c.hash))
+        .map((c) => [c, entryOf(c)])
+        .filter(([, entry]) => entry)
+        .map(([c, entry]) => {
+          const record = recordOf(c, entry);
+          return { heading: recordHeading(record, groupBy, timeZone), record };
+        });
+      ({ records, skipped } = migrateIndex(index, txt, candidates));
+      if (records.length) {
+        console.log(
+          `📦 Migrated ${records.length} published entries to ${INDEX_FILE}`
+        );
       }
-      seen = new Set(indexData.seen || []);
-    }
-
-    // Filter commits to keep
-    function defaultKeep(m) {
-      const s = m.toLowerCase();
-      if (s.startsWith("merge")) return false;
-      if (/^(chore|ci|build|refactor)\b/.test(s)) return false;
-      return true;
     }
 
-    const userKeep = keepPattern ? new RegExp(keepPattern, "i") : null;
-
-    function keepMsg(m) {
-      if (userKeep) return userKeep.test(m);
-      return defaultKeep(m);
+    // Commits rewritten by an amend, a rebase or a force-push: their record
+    // is updated from the rewritten commit, or removed when there is none
+    const stale = await findStaleRecords(git, records, log.all, {
+      truncated: Boolean(since) || log.all.length >= maxCount,
+    });
+    if (stale.length) {
+      const recorded = new Set(records.map((r) => r.hash));
+      const oldest = Math.min(...stale.map((r) => Date.parse(r.date)));
+      const candidates = log.all.filter((c) => !recorded.has(c.hash));
+      const keys = new Map();
+      const matches = matchRewritten(stale, candidates, {
+        patchIds: await patchIds(git, root, [
+          ...stale.map((r) => r.hash),
+          ...candidates
+            .filter((c) => Date.parse(c.date) >= oldest)
+            .map((c) => c.hash),
+        ]),
+        keyOf: (c) => {
+          if (!keys.has(c.hash)) {
+            const entry = keep(c) && entryOf(c);
+            keys.set(c.hash, entry ? entryKey(entry) : null);
+          }
+          return keys.get(c.hash);
+        },
+      });
+
+      let updated = 0;
+      records = records.flatMap((r) => {
+        if (!stale.includes(r)) return [r];
+        const c = matches.get(r.hash);
+        const entry = c && keep(c) && entryOf(c);
+        if (!entry) return [];
+        updated++;
+        return [recordOf(c, entry)];
+      });
+      console.log(
+        `🔀 Rewritten history: ${updated} entries updated, ${
+          stale.length - updated
+        } removed`
+      );
     }
 
-    // Function to process message text
-    function processMessage(msg) {
-      let processed = msg;
-
-      // Strip branch name using improved regex
-      if (stripBranch) {
-        // Improved regex to handle "[BranchHere]: " pattern
-        processed = processed.replace(/^\s*\[[^\]]*\](?:\s*:)?\s*/, "");
-      }
-
-      // Process confidential terms
-      if (confidentialItems.length > 0) {
-        for (const term of confidentialItems) {
-          // Escape regex special characters
-          const escapedTerm = term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
-          const confidentialRegex = new RegExp(escapedTerm, "gi");
-          processed = processed.replace(confidentialRegex, "--confidential--");
-        }
-      }
-
-      // Process hide terms
-      if (hideItems.length > 0) {
-        for (const term of hideItems) {
-          // Escape regex special characters
-          const escapedTerm = term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
-          const hideRegex = new RegExp(escapedTerm, "gi");
-          processed = processed.replace(hideRegex, "");
-        }
+    // Every output is built in memory, then written at once
+    const feed = await buildFeed(
+      log.all,
+      { ...options, siteUrl },
+      {
+        pkg,
+        tagDates,
+        releases,
+        mailmap,
+        plugins,
+        htmlTemplate: htmlTemplateFile
+          ? fs.readFileSync(htmlTemplateFile, "utf8")
+          : null,
+        records,
+        skipped,
+        root,
+        outDir,
       }
+    );
+    const files = writeFeed(feed, outDir, {
+      changelog: changelogFile,
+      force,
+      dryRun,
+    });
 
-      return processed.trim();
-    }
-
-    // Filter commits by keeping pattern and whether they've been seen before (unless force is true)
-    const newCommits = force
-      ? log.all.filter((c) => keepMsg(c.message))
-      : log.all.filter((c) => !seen.has(c.hash) && keepMsg(c.message));
-
-    let txt = "";
-    try {
-      txt = force ? "" : fs.readFileSync(TXT, "utf8").trim();
-    } catch (err) {
-      // If file doesn't exist or can't be read, start with empty string
-      txt = "";
-    }
+    // Rules that change the subject or `Changelog:` text of new commits
+    const explain = dryRun ? explainRedaction(options) : null;
+    const redacted = dryRun
+      ? feed.added.flatMap((r) => {
+          const c = logByHash.get(r.hash);
+          const rules = [c.message.trim(), changelogTrailers(c.body).text]
+            .filter(Boolean)
+            .flatMap((text) => explain(stripBranchName(text)));
+          return rules.length
+            ? [{ hash: c.hash, message: c.message, rules }]
+            : [];
+        })
+      : [];
 
-    // Process new commits
-    if (newCommits.length) {
-      const grouped = {};
-      for (const c of newCommits) {
-        const d = format(new Date(c.date), "yyyy-MM-dd");
-        if (!grouped[d]) grouped[d] = [];
-        grouped[d].push(processMessage(c.message.trim()));
-      }
+    const output = (format) =>
+      formats.includes(format) ? path.join(outDir, feed.files[format]) : null;
+    return {
+      ...(dryRun
+        ? { dryRun: dryRunReport(root, feed, redacted, files, diffs) }
+        : {}),
+      outDir,
+      txtPath: TXT,
+      jsonPath: output("json"),
+      rssPath: output("rss"),
+      atomPath: output("atom"),
+      jsonFeedPath: output("jsonfeed"),
+      htmlPath: output("html"),
+      changelogPath: changelogFile,
+      indexPath: INDEX,
+      pluginPaths: Object.fromEntries(
+        formats.filter((f) => !FORMATS[f]).map((f) => [f, output(f)])
+      ),
+      archivePaths: feed.archives.map((a) => path.join(outDir, a.file)),
+      items: feed.items,
+    };
+  } catch (error) {
+    throw new Error(`Failed to generate updates: ${error.message}`);
+  }
+}
 
-      const blocks = Object.entries(grouped)
-        .sort((a, b) => b[0].localeCompare(a[0]))
-        .map(([date, msgs]) =>
-          [date, ...Array.from(new Set(msgs)).map((m) => `- ${m}`)].join("\n")
-        )
-        .join("\n\n");
+/**
+ * Describes what a dry run would change
+ * @param {string} root - Project root, file names are relative to it
+ * @param {object} feed - Result of buildFeed
+ * @param {Array<{hash: string, message: string, rules: Array<object>}>} redacted -
+ *   New commits changed by redaction rules (see explainRedaction)
+ * @param {Map<string, string|null>} files - Content of every file that would
+ *   be written (null when removed)
+ * @param {boolean} diffs - Whether to diff each file with the one on disk
+ * @returns {{added: Array<object>, dropped: Array<object>, redacted: Array<object>, files: Array<{path: string, status: string, content: string|null, diff: string|null}>}}
+ */
+function dryRunReport(root, feed, redacted, files, diffs) {
+  return {
+    added: feed.added.map((r) => ({
+      hash: r.hash,
+      point: formatPoint(recordEntry(r)),
+    })),
+    dropped: feed.dropped,
+    redacted,
+    files: [...files].map(([file, content]) => {
+      const before = fs.existsSync(file) ? fs.readFileSync(file, "utf8") : null;
+      const name = path.relative(root, file).split(path.sep).join("/");
+      let status = "modified";
+      if (before === null) status = "added";
+      else if (content === null) status = "removed";
+      else if (before === content) status = "unchanged";
+      return {
+        path: file,
+        status,
+        content,
+        diff: diffs ? unifiedDiff(before, content, { file: name }) : null,
+      };
+    }),
+  };
+}
 
-      txt = blocks + (txt ? "\n\n" + txt : "");
-      fs.writeFileSync(TXT, txt.trim() + "\n");
+/**
+ * Generates several named feeds in a single run, e.g. one per package of a
+ * monorepo. Each feed accepts every generateUpdates option (typically paths,
+ * outDir and title), on top of the options shared by all feeds.
+ * @param {object} options - generateUpdates options, plus:
+ * @param {Object<string, object>|Array<object>} options.feeds - Feeds by name,
+ *   or an array of feeds with a `name`
+ * @returns {Promise<Array<object>>} generateUpdates results, with their `name`
+ */
+export async function generateFeeds(options = {}) {
+  const { feeds, ...shared } = await resolveOptions(options);
+  const list = Array.isArray(feeds)
+    ? feeds
+    : Object.entries(feeds || {}).map(([name, feed]) => ({ ...feed, name }));
+
+  if (!list.length) {
+    return [{ name: null, ...(await generateUpdates(shared)) }];
+  }
 
-      // Add newly processed commits to the "seen" set
-      const updatedSeen = [...seen, ...newCommits.map((c) => c.hash)];
-      fs.writeFileSync(
-        INDEX_FILE,
-        JSON.stringify({ seen: updatedSeen }, null, 2)
+  const root = shared.root || process.cwd();
+  const baseDir = shared.outDir || path.join(root, detectOutDir(root));
+  const outDirs = new Map();
+
+  // Resolve and check every out dir first: feeds sharing one would overwrite
+  // each other's files and index
+  const resolved = list.map((feed) => {
+    if (!feed.name) throw new Error("Every feed needs a name");
+    const outDir = feed.outDir
+      ? path.resolve(root, feed.outDir)
+      : path.join(baseDir, feed.name);
+    if (outDirs.has(outDir)) {
+      throw new Error(
+        `Feeds "${outDirs.get(outDir)}" and "${
+          feed.name
+        }" share the output directory ${outDir}`
       );
     }
+    outDirs.set(outDir, feed.name);
+    return { ...shared, ...feed, outDir };
+  });
 
-    // Parse text file into structured data
-    const items = txt
-      ? txt.split(/\n\s*\n/).map((block) => {
-          const lines = block.trim().split("\n");
-          return {
-            date: lines[0].trim(),
-            points: lines.slice(1).map((l) => l.replace(/^- /, "").trim()),
-          };
-        })
-      : [];
-
-    // Write JSON file
-    fs.writeFileSync(
-      JSON_FILE,
-      JSON.stringify({ updated_at: new Date().toISOString(), items }, null, 2)
-    );
-
-    // Generate RSS feed
-    const feed = new Feed({
-      title: "Project Updates",
-      id: siteUrl ? `${siteUrl}/updates` : "updates",
-      link: siteUrl ? `${siteUrl}/updates` : "/updates",
-      updated: new Date(),
-      generator: "git2feed by Aurélien Rommelaere (https://arommelaere.com)",
-    });
-
-    for (const it of items) {
-      try {
-        feed.addItem({
-          title: it.date,
-          id: `${siteUrl || ""}/updates#${it.date}`,
-          link: `${siteUrl || ""}/updates`,
-          date: new Date(`${it.date}T00:00:00Z`),
-          description: it.points.map((p) => "• " + p).join("\n"),
-        });
-      } catch (err) {
-        console.warn(
-          `Warning: Couldn't add RSS item for ${it.date}:`,
-          err.message
-        );
-      }
+  const results = [];
+  for (const { name, ...feedOptions } of resolved) {
+    try {
+      results.push({ name, ...(await generateUpdates(feedOptions)) });
+    } catch (error) {
+      throw new Error(`Feed "${name}": ${error.message}`);
     }
+  }
+  return results;
+}
 
-    // Write RSS file
-    fs.writeFileSync(RSS_FILE, feed.rss2());
+/**
+ * Title of a workspace package feed: the `title` option with `{name}`
+ * replaced by the package name, or followed by it
+ * @param {string|null} title - `title` option
+ * @param {string} name - Package name
+ * @returns {string}
+ */
+function workspaceTitle(title, name) {
+  if (!title) return `${name} updates`;
+  return title.includes("{name}")
+    ? title.split("{name}").join(name)
+    : `${title} (${name})`;
+}
 
-    return {
-      outDir,
-      txtPath: TXT,
-      jsonPath: JSON_FILE,
-      rssPath: RSS_FILE,
-      indexPath: INDEX_FILE,
-      items,
-    };
-  } catch (error) {
-    throw new Error(`Failed to generate updates: ${error.message}`);
+/**
+ * Generates one feed per workspace package (npm, yarn or pnpm workspaces),
+ * scoped to the commits touching the package directory and written to the
+ * package's own detected output directory. An aggregate index listing every
+ * package feed is written to updates.workspaces.json in the root output
+ * directory.
+ * @param {object} options - generateUpdates options shared by all packages;
+ *   `outDir` is where the aggregate index goes and `title` may name each
+ *   package with `{name}`
+ * @returns {Promise<{indexPath: string|null, workspaces: Array<object>}>}
+ *   indexPath is null in dry runs
+ */
+export async function generateWorkspaces(options = {}) {
+  options = await resolveOptions(options);
+  const root = options.root || process.cwd();
+  const { outDir, paths, title, feeds, ...shared } = options;
+  const workspaces = findWorkspaces(root);
+
+  if (!workspaces.length) {
+    throw new Error(
+      `No workspaces found in ${root} (expected "workspaces" in package.json or pnpm-workspace.yaml)`
+    );
   }
+
+  const results = await generateFeeds({
+    ...shared,
+    root,
+    feeds: workspaces.map((ws) => {
+      const dir = path.join(root, ws.dir);
+      const pkg = readJSON(path.join(dir, "package.json")) || {};
+      return {
+        name: ws.name,
+        paths: [ws.dir],
+        outDir: path.join(dir, detectOutDir(dir)),
+        title: workspaceTitle(title, ws.name),
+        description: shared.description || pkg.description || null,
+        // Each package keeps its own CHANGELOG.md
+        changelog: shared.changelog
+          ? path.join(
+              ws.dir,
+              typeof shared.changelog === "string"
+                ? shared.changelog
+                : "CHANGELOG.md"
+            )
+          : false,
+      };
+    }),
+  });
+
+  // A dry run reports each package feed and leaves the index as is
+  if (options.dryRun) return { indexPath: null, workspaces: results };
+
+  const indexDir = outDir || path.join(root, detectOutDir(root));
+  if (!fs.existsSync(indexDir)) fs.mkdirSync(indexDir, { recursive: true });
+
+  const relative = (file) =>
+    path.relative(root, file).split(path.sep).join("/");
+  const index = {
+    updated_at: new Date().toISOString(),
+    workspaces: results.map((result, i) => {
+      const files = {
+        txt: result.txtPath,
+        json: result.jsonPath,
+        rss: result.rssPath,
+        atom: result.atomPath,
+        jsonfeed: result.jsonFeedPath,
+        html: result.htmlPath,
+        ...result.pluginPaths,
+      };
+      const latest = result.items.find((item) => item.date);
+      return {
+        name: result.name,
+        path: workspaces[i].dir,
+        title: workspaceTitle(title, result.name),
+        latest: latest ? latest.date : null,
+        files: Object.fromEntries(
+          Object.entries(files)
+            .filter(([, file]) => file)
+            .map(([format, file]) => [format, relative(file)])
+        ),
+      };
+    }),
+  };
+
+  const indexPath = path.join(indexDir, "updates.workspaces.json");
+  fs.writeFileSync(indexPath, JSON.stringify(index, null, 2));
+
+  return { indexPath, workspaces: results };
 }
@@ -0,0 +1,176 @@
+/**
+ * git2feed - HTML changelog page module
+ *
+ * @author Aurélien Rommelaere <https://arommelaere.com>
+ * @license MIT
+ */
+
+import { groupBySection, hasSections, formatPoint } from "./conventional.js";
+import { itemAnchor, itemHeading } from "./releases.js";
+import { DEFAULT_TITLE } from "./render.js";
+
+/**
+ * Default page template. Placeholders: {{title}}, {{description}},
+ * {{language}}, {{head}}, {{content}}, {{updated}} and {{feedUrl}}.
+ */
+export const DEFAULT_TEMPLATE = `<!DOCTYPE html>
+<html lang="{{language}}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>{{title}}</title>
+{{head}}
+<style>
+  body { font-family: system-ui, -apple-system, "Segoe UI", sans-serif; line-height: 1.6; color: #1f2328; background: #fff; margin: 0; }
+  main { max-width: 42rem; margin: 0 auto; padding: 2rem 1rem; }
+  h1 { font-size: 2rem; margin-bottom: 0.25rem; }
+  h2 { font-size: 1.25rem; margin: 2.5rem 0 0.5rem; border-bottom: 1px solid #d0d7de; padding-bottom: 0.25rem; }
+  h2 a { color: inherit; text-decoration: none; }
+  h2 a:hover, h2 a:focus { text-decoration: underline; }
+  h3 { font-size: 1rem; margin: 1rem 0 0.25rem; }
+  ul { padding-left: 1.25rem; margin: 0.25rem 0; }
+  .meta { color: #57606a; font-size: 0.875rem; }
+  a { color: #0969da; }
+  @media (prefers-color-scheme: dark) {
+    body { color: #e6edf3; background: #0d1117; }
+    h2 { border-color: #30363d; }
+    .meta { color: #8d96a0; }
+    a { color: #4493f8; }
+  }
+</style>
+</head>
+<body>
+<main>
+<h1>{{title}}</h1>
+<p class="meta">Last updated <time datetime="{{updated}}">{{updated}}</time> · <a href="{{feedUrl}}">Subscribe via RSS</a></p>
+{{content}}
+</main>
+</body>
+</html>
+`;
+
+/**
+ * Escapes text for use in HTML content and attribute values
+ * @param {string} value
+ * @returns {string}
+ */
+export function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Renders a list of entries
+ * @param {Array<object>} entries
+ * @param {Map<string, string[]>|null} anchors - Commits behind each point
+ *   (see pointHashes), given an id each
+ * @returns {string}
+ */
+function renderList(entries, anchors) {
+  const points = entries.map((e) => {
+    const [id, ...merged] = (anchors && e.hash && anchors.get(e.hash)) || [];
+    const attribute = id ? ` id="${escapeHtml(id)}"` : "";
+    const targets = merged.map((hash) => `<a id="${escapeHtml(hash)}"></a>`);
+    return `<li${attribute}>${targets.join("")}${escapeHtml(
+      formatPoint(e)
+    )}</li>`;
+  });
+  return `<ul>\n${points.join("\n")}\n</ul>`;
+}
+
+/**
+ * Renders one item as a section whose id matches the feed item anchor
+ * @param {object} item - Item as written in updates.json
+ * @param {Map<string, string[]>|null} anchors - See renderList
+ * @returns {string}
+ */
+function renderItem(item, anchors) {
+  const anchor = escapeHtml(itemAnchor(item));
+  const title = escapeHtml(item.version || itemHeading(item));
+  const parts = [
+    `<section id="${anchor}" aria-labelledby="${anchor}-title">`,
+    `<h2 id="${anchor}-title"><a href="#${anchor}">${title}</a></h2>`,
+  ];
+
+  if (item.version && item.date) {
+    parts.push(
+      `<p class="meta"><time datetime="${item.date}">${item.date}</time></p>`
+    );
+  }
+
+  if (hasSections(item.entries)) {
+    for (const section of groupBySection(item.entries)) {
+      parts.push(`<h3>${escapeHtml(section.title)}</h3>`);
+      parts.push(renderList(section.entries, anchors));
+    }
+  } else {
+    parts.push(renderList(item.entries, anchors));
+  }
+
+  parts.push("</section>");
+  return parts.join("\n");
+}
+
+/**
+ * Renders the changelog page
+ * @param {Array<object>} items - Items as written in updates.json
+ * @param {object} [options]
+ * @param {string} [options.siteUrl] - Public site URL
+ * @param {string} [options.template] - Template overriding DEFAULT_TEMPLATE
+ * @param {Array<{type: string, file: string}>} [options.feeds] - Feeds linked
+ *   with <link rel="alternate">, the first one being shown in the page
+ * @param {string} [options.title] - Page title
+ * @param {string} [options.description] - Page description
+ * @param {string} [options.language] - Page language (default: en)
+ * @param {Map<string, string[]>} [options.anchors] - Commits behind each
+ *   point (see pointHashes): their hash is an anchor of the point, as linked
+ *   by feed items in commit granularity
+ * @returns {string}
+ */
+export function renderHtml(items, options = {}) {
+  const siteUrl = options.siteUrl || "";
+  const feeds = options.feeds || [
+    { type: "application/rss+xml", file: "updates.rss" },
+  ];
+  const href = (file) => (siteUrl ? `${siteUrl}/${file}` : file);
+  const title = options.title || DEFAULT_TITLE;
+
+  const description = options.description || "";
+
+  const head = feeds
+    .map(
+      (feed) =>
+        `<link rel="alternate" type="${feed.type}" title="${escapeHtml(
+          title
+        )}" href="${escapeHtml(href(feed.file))}">`
+    )
+    .join("\n");
+  const meta = description
+    ? `<meta name="description" content="${escapeHtml(description)}">\n`
+    : "";
+
+  const content = items.length
+    ? items
+        .map((item) => renderItem(item, options.anchors || null))
+        .join("\n\n")
+    : "<p>No updates yet.</p>";
+
+  const values = {
+    title: escapeHtml(title),
+    description: escapeHtml(description),
+    language: escapeHtml(options.language || "en"),
+    head: meta + head,
+    content,
+    updated: new Date().toISOString(),
+    feedUrl: feeds.length ? escapeHtml(href(feeds[0].file)) : "",
+  };
+
+  return (options.template || DEFAULT_TEMPLATE).replace(
+    /\{\{\s*(\w+)\s*\}\}/g,
+    (match, key) => (key in values ? values[key] : match)
+  );
+}
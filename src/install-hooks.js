@@ -14,6 +14,7 @@ const defaultConfig = {
     "public/updates.txt",
     "public/updates.rss",
     "public/updates.json",
+    "public/updates.html",
     "public/updates.index.json",
   ],
   addToCommit: true,
@@ -7,15 +7,29 @@
 
 import fs from "fs";
 import path from "path";
-import simpleGit from "simple-git";
-import { format } from "date-fns";
-import { Feed } from "feed";
+import crypto from "crypto";
+import simpleGit, { pathspec } from "simple-git";
 import os from "os";
 import https from "https";
+import { readTagDates, readReleases, assignReleases } from "./releases.js";
+import { FORMATS } from "./render.js";
+import { parsePageQuery } from "./pages.js";
+import { readMailmap, wantsAuthors } from "./authors.js";
+import { readJSON } from "./detect.js";
+import { loadPlugins, pluginRenderers } from "./plugins.js";
+import { buildFeed } from "./build.js";
+import { resolveOptions, resolveSiteUrl } from "./config.js";
+import { normalizeTimestamps } from "./check.js";
 
 // Configuration du cache
 const CACHE_DIR = path.join(os.tmpdir(), "git2feed-cache");
 const CACHE_EXPIRATION = 24 * 60 * 60 * 1000; // 24 heures par défaut
+const CACHE_CONTROL = "public, max-age=3600"; // 1h de cache côté client par défaut
+const HEAD_CHECK_INTERVAL = 60 * 1000; // HEAD relu au plus une fois par minute par défaut
+const MAX_CACHE_ENTRIES = 50; // Entrées de cache conservées par dépôt et jeu d'options
+
+// Dernier HEAD lu, par préfixe de cache ({ head, checkedAt })
+const heads = new Map();
 
 // Assurez-vous que le répertoire de cache existe
 if (!fs.existsSync(CACHE_DIR)) {
@@ -24,62 +38,177 @@ if (!fs.existsSync(CACHE_DIR)) {
 
 /**
  * Gestionnaire principal pour les endpoints updates.*
- * @param {Object} options - Options de configuration
+ * @param {Object} options - Mêmes options que generateUpdates (fichier de
+ *   configuration compris, sauf `config: false`), plus githubToken,
+ *   githubOwner, githubRepo, cacheExpiration, headCheckInterval (délai en
+ *   millisecondes entre deux lectures du HEAD) et cacheControl (en-tête
+ *   Cache-Control des réponses, false pour ne pas l'envoyer)
  * @returns {Promise<Object>} - Résultat avec status, body et headers
  */
 export async function createUpdatesHandler(options = {}) {
-  return async (req) => {
+  // Fichier de configuration du projet, comme la CLI (les options passées ici priment)
+  options = await resolveOptions(options);
+  const repoRoot = options.root;
+  // URL du site, avec les mêmes variables d'environnement que la CLI
+  const siteUrl = resolveSiteUrl(options);
+  // Plugins chargés une seule fois, à la création du handler
+  const plugins = await loadPlugins(options.plugins, repoRoot);
+  const renderers = pluginRenderers(plugins);
+
+  // Dépôt GitHub distant, sinon dépôt Git local
+  const githubToken = options.githubToken || process.env.GITHUB_TOKEN;
+  const githubOwner = options.githubOwner || process.env.GITHUB_OWNER;
+  const githubRepo = options.githubRepo || process.env.GITHUB_REPO;
+  const github = Boolean(githubToken && githubOwner && githubRepo);
+
+  // Préfixe des entrées de cache : propre au dépôt et aux options, pour que
+  // deux applications (ou deux configurations) du même hôte ne partagent rien.
+  // JSON.stringify ignore les fonctions : avec des plugins en ligne, le
+  // préfixe est propre au handler.
+  const cachePrefix = hashKey({
+    repository: github ? `github:${githubOwner}/${githubRepo}` : repoRoot,
+    siteUrl,
+    options,
+    instance: hasFunctions(options) ? crypto.randomUUID() : null,
+  });
+
+  // HEAD du dépôt (ou dernier commit distant), relu au plus une fois par
+  // intervalle : en mode GitHub, chaque lecture est un appel à l'API. Par
+  // release, les tags en font partie : tagger HEAD ne le change pas.
+  const currentHead = async (refresh) => {
+    const known = heads.get(cachePrefix);
+    const interval =
+      options.headCheckInterval === undefined
+        ? HEAD_CHECK_INTERVAL
+        : options.headCheckInterval;
+    if (!refresh && known && Date.now() - known.checkedAt < interval) {
+      return known.head;
+    }
+    let head = github
+      ? await fetchGithubHead(githubToken, githubOwner, githubRepo)
+      : await readLocalHead(repoRoot);
+    if (head && options.groupBy === "release") {
+      const tags = github
+        ? await fetchGithubTags(githubToken, githubOwner, githubRepo).then(
+            (list) => list.map((tag) => `${tag.name} ${tag.commit.sha}`),
+            (error) => {
+              console.warn(
+                "Impossible de lire les tags GitHub:",
+                error.message
+              );
+              return null;
+            }
+          )
+        : await readLocalTags(repoRoot);
+      head = tags === null ? null : `${head}:${hashKey(tags)}`;
+    }
+    heads.set(cachePrefix, { head, checkedAt: Date.now() });
+    return head;
+  };
+
+  // En-têtes d'une réponse : ETag et Last-Modified (dernier changement du
+  // contenu) pour les requêtes conditionnelles
+  const responseHeaders = (format, body, lastModified) => {
+    const headers = {
+      "Content-Type": getContentType(format, renderers),
+      ETag: etagOf(body),
+    };
+    if (lastModified) {
+      headers["Last-Modified"] = new Date(lastModified).toUTCString();
+    }
+    const cacheControl =
+      options.cacheControl === undefined ? CACHE_CONTROL : options.cacheControl;
+    if (cacheControl) headers["Cache-Control"] = cacheControl;
+    return headers;
+  };
+
+  // Réponse complète, ou 304 si le client a déjà ce contenu
+  const respond = (req, format, body, lastModified) => {
+    const headers = responseHeaders(format, body, lastModified);
+    if (isNotModified(req, headers)) {
+      return { status: 304, body: null, headers };
+    }
+    return { status: 200, body, headers };
+  };
+
+  const handler = async (req) => {
     const format = req.format || "txt";
-    const repoRoot = options.root || process.cwd();
+    // Régénération forcée à la demande seulement (?refresh=true) : l'option
+    // force de la configuration vise la CLI et désactiverait le cache
     const forceRefresh = req.forceRefresh || false;
-
-    if (!["txt", "json", "rss"].includes(format)) {
+    // Uniquement les commits qui touchent ces chemins (monorepo)
+    const paths = options.paths
+      ? (Array.isArray(options.paths)
+          ? options.paths
+          : String(options.paths).split(",")
+        )
+          .map((p) => p.trim())
+          .filter(Boolean)
+      : [];
+
+    if (!FORMATS[format] && !renderers[format]) {
       return {
         status: 400,
-        body: "Format non supporté. Utilisez txt, json ou rss.",
+        body: `Format non supporté. Utilisez ${[
+          ...new Set([...Object.keys(FORMATS), ...Object.keys(renderers)]),
+        ].join(", ")}.`,
       };
     }
 
-    const cacheFile = path.join(CACHE_DIR, `updates.${format}`);
-    const cacheMetaFile = path.join(CACHE_DIR, `updates-meta.json`);
+    // Pagination (?page=, ?before=) du JSON et des flux
+    let query;
+    try {
+      query = parsePageQuery({ page: req.page, before: req.before });
+    } catch (error) {
+      return { status: 400, body: error.message };
+    }
 
-    // Vérifier si le cache est valide
-    if (
-      !forceRefresh &&
-      fs.existsSync(cacheFile) &&
-      fs.existsSync(cacheMetaFile)
-    ) {
+    // Une entrée de cache par format et par page (l'URL sert aux liens de pagination)
+    const cacheFile = path.join(
+      CACHE_DIR,
+      `${cachePrefix}-${hashKey({
+        page: query.page,
+        before: query.before,
+        url: req.url || null,
+      })}.${format}.json`
+    );
+
+    // Un nouveau commit invalide le cache
+    const head = await currentHead(forceRefresh);
+
+    // Entrée en cache, même en cas de rafraîchissement forcé : sa date de
+    // modification reste valable si le contenu régénéré est identique
+    let entry = null;
+    if (fs.existsSync(cacheFile)) {
       try {
-        const meta = JSON.parse(fs.readFileSync(cacheMetaFile, "utf8"));
-        if (
-          Date.now() - meta.timestamp <
-          (options.cacheExpiration || CACHE_EXPIRATION)
-        ) {
-          // Cache valide, retourner le fichier mis en cache
-          return {
-            status: 200,
-            body: fs.readFileSync(cacheFile, "utf8"),
-            headers: {
-              "Content-Type": getContentType(format),
-            },
-          };
-        }
+        entry = JSON.parse(fs.readFileSync(cacheFile, "utf8"));
       } catch (err) {
         // Si erreur lors de la lecture du cache, régénérer
         console.warn("Erreur lors de la lecture du cache:", err.message);
       }
     }
 
+    // Vérifier si le cache est valide
+    if (
+      !forceRefresh &&
+      entry &&
+      entry.head === head &&
+      Date.now() - entry.timestamp <
+        (options.cacheExpiration || CACHE_EXPIRATION)
+    ) {
+      // Cache valide, retourner le contenu mis en cache
+      return respond(req, format, entry.body, entry.lastModified);
+    }
+
     // Cache invalide ou inexistant, générer de nouvelles données
     try {
       let commits;
+      let tagDates = {};
+      // Releases calculées hors du filtre de chemins (null : depuis la liste)
+      let releases = null;
 
       // Essayer d'utiliser l'API GitHub si une clé est fournie
-      const githubToken = options.githubToken || process.env.GITHUB_TOKEN;
-      const githubOwner = options.githubOwner || process.env.GITHUB_OWNER;
-      const githubRepo = options.githubRepo || process.env.GITHUB_REPO;
-
-      if (githubToken && githubOwner && githubRepo) {
+      if (github) {
         console.log(
           `Récupération des commits depuis l'API GitHub pour ${githubOwner}/${githubRepo}`
         );
@@ -87,8 +216,39 @@ export async function createUpdatesHandler(options = {}) {
           githubToken,
           githubOwner,
           githubRepo,
-          options.maxCount || 100
+          options.maxCount || 100,
+          paths
         );
+        if (options.groupBy === "release") {
+          // Les tags GitHub sont reportés dans `refs` comme pour git log
+          const tags = await fetchGithubTags(
+            githubToken,
+            githubOwner,
+            githubRepo
+          );
+          const withTags = (list) => {
+            for (const commit of list) {
+              commit.refs = tags
+                .filter((t) => t.commit.sha === commit.hash)
+                .map((t) => `tag: ${t.name}`)
+                .join(", ");
+            }
+            return list;
+          };
+          withTags(commits);
+          // Filtrée par chemins, la liste perd les commits taggués qui ne
+          // les touchent pas : les releases sont attribuées sur l'historique
+          // complet
+          if (paths.length) {
+            const history = await fetchGithubCommits(
+              githubToken,
+              githubOwner,
+              githubRepo,
+              options.maxCount || 100
+            );
+            releases = assignReleases(withTags(history));
+          }
+        }
       } else {
         // Fallback au dépôt Git local
         console.log("Utilisation du dépôt Git local");
@@ -106,40 +266,72 @@ export async function createUpdatesHandler(options = {}) {
         // Récupérer les commits
         const logOpts = { maxCount: options.maxCount || 2000 };
         if (options.since) logOpts.since = options.since;
+        if (paths.length) logOpts.paths = pathspec(...paths);
         const log = await git.log(logOpts);
         commits = log.all;
+        if (options.groupBy === "release") {
+          tagDates = await readTagDates(git);
+          releases = await readReleases(git, tagDates);
+        }
       }
 
-      // Traiter les commits pour générer les données
-      const items = processCommits(commits, options);
-
-      // Générer le contenu selon le format demandé
-      let content;
-      if (format === "json") {
-        content = generateJSON(items);
-      } else if (format === "rss") {
-        content = generateRSS(items, options.siteUrl);
-      } else {
-        content = generateTxt(items);
-      }
+      // Même construction que la CLI (buildFeed), sans index : tous les
+      // commits sont publiés à chaque requête
+      const feed = await buildFeed(
+        commits,
+        { ...options, siteUrl },
+        {
+          pkg: readJSON(path.join(repoRoot, "package.json")) || {},
+          tagDates,
+          releases,
+          // Auteurs résolus via le .mailmap du dépôt local (si présent)
+          mailmap: wantsAuthors(options) ? readMailmap(repoRoot) : [],
+          plugins,
+          htmlTemplate: options.htmlTemplate
+            ? fs.readFileSync(
+                path.resolve(repoRoot, options.htmlTemplate),
+                "utf8"
+              )
+            : null,
+          root: repoRoot,
+          targets: [format],
+          // Une page d'items (liens RFC 5005 vers les pages voisines)
+          page: { ...query, url: req.url || null },
+        }
+      );
+      const content = feed.outputs[format];
+      // Last-Modified : date du dernier changement de l'ETag, pas celle des
+      // commits (une configuration modifiée ou un commit rebasé change le
+      // contenu sans date plus récente). À la seconde, comme l'en-tête, et
+      // toujours postérieure à la précédente.
+      const lastModified =
+        entry && entry.lastModified && entry.etag === etagOf(content)
+          ? entry.lastModified
+          : Math.max(
+              Math.floor(Date.now() / 1000) * 1000,
+              ((entry && entry.lastModified) || 0) + 1000
+            );
 
-      // Mettre en cache
-      fs.writeFileSync(cacheFile, content);
+      // Mettre en cache, avec le HEAD à partir duquel le contenu a été généré
       fs.writeFileSync(
-        cacheMetaFile,
+        cacheFile,
         JSON.stringify({
+          head,
           timestamp: Date.now(),
+          body: content,
+          etag: etagOf(content),
+          lastModified,
         })
       );
+      // ?page= et ?before= créent une entrée chacun : seules les plus récentes
+      // sont gardées
+      pruneCache(
+        cachePrefix,
+        MAX_CACHE_ENTRIES,
+        Math.max(options.cacheExpiration || 0, CACHE_EXPIRATION)
+      );
 
-      return {
-        status: 200,
-        body: content,
-        headers: {
-          "Content-Type": getContentType(format),
-          "Cache-Control": "public, max-age=3600", // 1h de cache côté client
-        },
-      };
+      return respond(req, format, content, lastModified);
     } catch (error) {
       console.error("Erreur lors de la génération des mises à jour:", error);
       return {
@@ -148,21 +340,32 @@ export async function createUpdatesHandler(options = {}) {
       };
     }
   };
+
+  // URL du site résolue (option, configuration ou environnement), pour les liens de pagination
+  handler.siteUrl = siteUrl;
+
+  // Fichiers servis (updates.rss, ...) et leur format, pour le routage
+  handler.files = Object.fromEntries(
+    [
+      ...Object.entries(FORMATS),
+      ...Object.entries(renderers).filter(([f]) => !FORMATS[f]),
+    ].map(([f, { file }]) => [file, f])
+  );
+
+  return handler;
 }
 
 /**
- * Récupère les commits depuis l'API GitHub
+ * Effectue une requête GET sur l'API GitHub
  * @param {string} token - Token d'accès GitHub
- * @param {string} owner - Propriétaire du dépôt
- * @param {string} repo - Nom du dépôt
- * @param {number} maxCount - Nombre maximum de commits à récupérer
- * @returns {Promise<Array>} - Liste des commits
+ * @param {string} apiPath - Chemin de l'API (ex: /repos/owner/repo/commits)
+ * @returns {Promise<any>} - Réponse JSON décodée
  */
-async function fetchGithubCommits(token, owner, repo, maxCount = 100) {
+function githubRequest(token, apiPath) {
   return new Promise((resolve, reject) => {
     const options = {
       hostname: "api.github.com",
-      path: `/repos/${owner}/${repo}/commits?per_page=${maxCount}`,
+      path: apiPath,
       method: "GET",
       headers: {
         "User-Agent": "git2feed",
@@ -181,21 +384,11 @@ async function fetchGithubCommits(token, owner, repo, maxCount = 100) {
       res.on("end", () => {
         if (res.statusCode === 200) {
           try {
-            const commits = JSON.parse(data);
-            // Convertir au même format que simple-git
-            const formattedCommits = commits.map((commit) => ({
-              hash: commit.sha,
-              date: commit.commit.author.date,
-              message: commit.commit.message,
-              refs: "",
-              body: commit.commit.message,
-              author_name: commit.commit.author.name,
-            }));
-            resolve(formattedCommits);
+            resolve(JSON.parse(data));
           } catch (error) {
             reject(
               new Error(
-                `Erreur lors du parsing des commits GitHub: ${error.message}`
+                `Erreur lors du parsing de la réponse GitHub: ${error.message}`
               )
             );
           }
@@ -220,146 +413,239 @@ async function fetchGithubCommits(token, owner, repo, maxCount = 100) {
 }
 
 /**
- * Traite les commits pour les convertir en items structurés
+ * Récupère les commits depuis l'API GitHub
+ * @param {string} token - Token d'accès GitHub
+ * @param {string} owner - Propriétaire du dépôt
+ * @param {string} repo - Nom du dépôt
+ * @param {number} maxCount - Nombre maximum de commits à récupérer
+ * @param {string[]} [paths] - Chemins à filtrer (une requête par chemin)
+ * @returns {Promise<Array>} - Liste des commits
  */
-function processCommits(commits, options = {}) {
-  const stripBranch = options.stripBranch || false;
-  const keepPattern = options.keep || null;
-
-  // Fonction de filtrage des commits
-  function defaultKeep(m) {
-    const s = m.toLowerCase();
-    if (s.startsWith("merge")) return false;
-    if (/^(chore|ci|build|refactor)\b/.test(s)) return false;
-    return true;
+async function fetchGithubCommits(
+  token,
+  owner,
+  repo,
+  maxCount = 100,
+  paths = []
+) {
+  const apiPath = `/repos/${owner}/${repo}/commits?per_page=${maxCount}`;
+  let commits;
+  if (paths.length) {
+    // L'API n'accepte qu'un chemin par requête : fusion par sha, du plus récent au plus ancien
+    const bySha = new Map();
+    for (const p of paths) {
+      const list = await githubRequest(
+        token,
+        `${apiPath}&path=${encodeURIComponent(p)}`
+      );
+      for (const commit of list) bySha.set(commit.sha, commit);
+    }
+    commits = [...bySha.values()]
+      .sort(
+        (a, b) =>
+          Date.parse(b.commit.author.date) - Date.parse(a.commit.author.date)
+      )
+      .slice(0, maxCount);
+  } else {
+    commits = await githubRequest(token, apiPath);
   }
 
-  const userKeep = keepPattern ? new RegExp(keepPattern, "i") : null;
+  // Convertir au même format que simple-git
+  return commits.map((commit) => ({
+    hash: commit.sha,
+    date: commit.commit.author.date,
+    message: commit.commit.message,
+    refs: "",
+    body: commit.commit.message,
+    author_name: commit.commit.author.name,
+    author_email: commit.commit.author.email,
+  }));
+}
 
-  function keepMsg(m) {
-    if (userKeep) return userKeep.test(m);
-    return defaultKeep(m);
+/**
+ * Récupère le sha du dernier commit depuis l'API GitHub
+ * @param {string} token - Token d'accès GitHub
+ * @param {string} owner - Propriétaire du dépôt
+ * @param {string} repo - Nom du dépôt
+ * @returns {Promise<string|null>} - null si l'API ne répond pas (seule la
+ *   durée de validité s'applique alors)
+ */
+async function fetchGithubHead(token, owner, repo) {
+  try {
+    const [latest] = await githubRequest(
+      token,
+      `/repos/${owner}/${repo}/commits?per_page=1`
+    );
+    return latest ? latest.sha : null;
+  } catch (error) {
+    console.warn("Impossible de lire le dernier commit GitHub:", error.message);
+    return null;
   }
+}
 
-  // Fonction de traitement des messages
-  function processMessage(msg) {
-    let processed = msg;
-
-    // Strip branch name using improved regex
-    if (stripBranch) {
-      processed = processed.replace(/^\s*\[[^\]]*\](?:\s*:)?\s*/, "");
-    }
-
-    return processed.trim();
+/**
+ * Lit le HEAD du dépôt Git local
+ * @param {string} repoRoot - Racine du dépôt
+ * @returns {Promise<string|null>} - null hors d'un dépôt ou sans commit
+ */
+async function readLocalHead(repoRoot) {
+  try {
+    return (await simpleGit(repoRoot).revparse(["HEAD"])).trim();
+  } catch {
+    return null;
   }
+}
 
-  // Filtrer et grouper les commits
-  const filteredCommits = commits.filter((c) => keepMsg(c.message));
-  const grouped = {};
-
-  for (const commit of filteredCommits) {
-    const date = format(new Date(commit.date), "yyyy-MM-dd");
-    if (!grouped[date]) grouped[date] = [];
-    grouped[date].push(processMessage(commit.message.trim()));
+/**
+ * Lit les tags du dépôt Git local et les commits qu'ils désignent
+ * @param {string} repoRoot - Racine du dépôt
+ * @returns {Promise<string>} - Une ligne par tag (vide sans tag)
+ */
+async function readLocalTags(repoRoot) {
+  try {
+    return await simpleGit(repoRoot).raw([
+      "for-each-ref",
+      "--format=%(refname) %(objectname)",
+      "refs/tags",
+    ]);
+  } catch {
+    return "";
   }
-
-  // Structurer les données
-  return Object.entries(grouped)
-    .sort((a, b) => b[0].localeCompare(a[0]))
-    .map(([date, messages]) => ({
-      date,
-      points: Array.from(new Set(messages)),
-    }));
 }
 
 /**
- * Génère le contenu au format texte
+ * Indique si le client a déjà la version courante (If-None-Match, sinon
+ * If-Modified-Since, comme le prévoit la RFC 9110)
+ * @param {Object} req - Requête du handler (ifNoneMatch, ifModifiedSince)
+ * @param {Object} headers - En-têtes de la réponse (ETag, Last-Modified)
+ * @returns {boolean}
  */
-function generateTxt(items) {
-  return (
-    items
-      .map((item) => {
-        return [item.date, ...item.points.map((point) => `- ${point}`)].join(
-          "\n"
-        );
-      })
-      .join("\n\n") + "\n"
-  );
+function isNotModified(req, headers) {
+  const opaque = (tag) => tag.trim().replace(/^W\//, "");
+  if (req.ifNoneMatch) {
+    return req.ifNoneMatch
+      .split(",")
+      .some(
+        (tag) => tag.trim() === "*" || opaque(tag) === opaque(headers.ETag)
+      );
+  }
+  if (req.ifModifiedSince && headers["Last-Modified"]) {
+    const since = Date.parse(req.ifModifiedSince);
+    return !isNaN(since) && Date.parse(headers["Last-Modified"]) <= since;
+  }
+  return false;
 }
 
 /**
- * Génère le contenu au format JSON
+ * Supprime les entrées de cache les plus anciennes d'un préfixe, et les
+ * entrées expirées de tous les préfixes (handlers d'anciens processus...)
+ * @param {string} prefix - Préfixe des entrées (dépôt et options)
+ * @param {number} max - Nombre d'entrées conservées
+ * @param {number} expiration - Âge en millisecondes au-delà duquel une entrée
+ *   est supprimée
  */
-function generateJSON(items) {
-  return JSON.stringify(
-    {
-      updated_at: new Date().toISOString(),
-      items,
-    },
-    null,
-    2
-  );
+function pruneCache(prefix, max, expiration) {
+  try {
+    const entries = [];
+    for (const name of fs.readdirSync(CACHE_DIR)) {
+      const file = path.join(CACHE_DIR, name);
+      const stat = fs.statSync(file, { throwIfNoEntry: false });
+      if (stat) entries.push({ name, file, mtime: stat.mtimeMs });
+    }
+    const own = entries
+      .filter((entry) => entry.name.startsWith(`${prefix}-`))
+      .sort((a, b) => b.mtime - a.mtime);
+    const stale = entries.filter(
+      (entry) => Date.now() - entry.mtime > expiration
+    );
+    for (const { file } of [...own.slice(max), ...stale]) {
+      fs.rmSync(file, { force: true });
+    }
+  } catch (err) {
+    // Le nettoyage ne doit pas faire échouer la réponse
+    console.warn("Erreur lors du nettoyage du cache:", err.message);
+  }
 }
 
 /**
- * Génère le contenu au format RSS
+ * Indique si une valeur contient des fonctions (plugins en ligne...), que
+ * JSON.stringify ignore
+ * @param {any} value
+ * @returns {boolean}
  */
-function generateRSS(items, siteUrl = "") {
-  const feed = new Feed({
-    title: "Project Updates",
-    id: siteUrl ? `${siteUrl}/updates` : "updates",
-    link: siteUrl ? `${siteUrl}/updates` : "/updates",
-    updated: new Date(),
-    generator: "git2feed by Aurélien Rommelaere (https://arommelaere.com)",
+function hasFunctions(value) {
+  let found = false;
+  JSON.stringify(value, (key, item) => {
+    if (typeof item === "function") found = true;
+    return item;
   });
+  return found;
+}
 
-  for (const it of items) {
-    try {
-      feed.addItem({
-        title: it.date,
-        id: `${siteUrl || ""}/updates#${it.date}`,
-        link: `${siteUrl || ""}/updates`,
-        date: new Date(`${it.date}T00:00:00Z`),
-        description: it.points.map((p) => "• " + p).join("\n"),
-      });
-    } catch (err) {
-      console.warn(
-        `Warning: Couldn't add RSS item for ${it.date}:`,
-        err.message
-      );
-    }
-  }
+/**
+ * ETag faible d'une réponse : seules les dates de génération sont ignorées,
+ * pour qu'une régénération sans changement garde le même ETag (les dates des
+ * items en font partie)
+ * @param {string} body - Contenu de la réponse
+ * @returns {string}
+ */
+function etagOf(body) {
+  return `W/"${hashKey(normalizeTimestamps(body))}"`;
+}
 
-  return feed.rss2();
+/**
+ * Empreinte courte d'une valeur, pour nommer les entrées de cache
+ * @param {any} value - Valeur sérialisable en JSON
+ * @returns {string} - 16 caractères hexadécimaux
+ */
+function hashKey(value) {
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify(value))
+    .digest("hex")
+    .slice(0, 16);
+}
+
+/**
+ * Récupère les tags depuis l'API GitHub
+ * @param {string} token - Token d'accès GitHub
+ * @param {string} owner - Propriétaire du dépôt
+ * @param {string} repo - Nom du dépôt
+ * @returns {Promise<Array>} - Liste des tags ({ name, commit: { sha } })
+ */
+async function fetchGithubTags(token, owner, repo) {
+  return githubRequest(token, `/repos/${owner}/${repo}/tags?per_page=100`);
 }
 
 /**
  * Renvoie le Content-Type approprié selon le format
  */
-function getContentType(format) {
-  switch (format) {
-    case "json":
-      return "application/json";
-    case "rss":
-      return "application/rss+xml";
-    default:
-      return "text/plain";
-  }
+function getContentType(format, renderers = {}) {
+  return (renderers[format] || FORMATS[format] || FORMATS.txt).contentType;
 }
 
 /**
  * Créer un middleware Express
  */
 export function createExpressMiddleware(options = {}) {
-  const handler = createUpdatesHandler(options);
+  // createUpdatesHandler est asynchrone (chargement des plugins)
+  const handlerPromise = createUpdatesHandler(options);
 
   return async (req, res, next) => {
-    const match = req.path.match(/\/updates\.(txt|json|rss)$/);
-    if (match) {
-      const format = match[1];
+    const handler = await handlerPromise;
+    const match = req.path.match(/\/(updates\.[\w.]+)$/);
+    const format = match && handler.files[match[1]];
+    if (format) {
       const result = await handler({
         format,
         forceRefresh: req.query.refresh === "true",
+        page: req.query.page || null,
+        before: req.query.before || null,
+        url: handler.siteUrl
+          ? `${handler.siteUrl}${req.baseUrl}${req.path}`
+          : `${req.baseUrl}${req.path}`,
+        ifNoneMatch: req.headers["if-none-match"] || null,
+        ifModifiedSince: req.headers["if-modified-since"] || null,
       });
 
       res.status(result.status);
@@ -380,13 +666,19 @@ export function createExpressMiddleware(options = {}) {
  * Créer un handler Next.js API Route
  */
 export function createNextApiHandler(options = {}) {
-  const handler = createUpdatesHandler(options);
+  const handlerPromise = createUpdatesHandler(options);
 
   return async (req, res) => {
+    const handler = await handlerPromise;
     const format = req.query.format || "txt";
     const result = await handler({
       format,
       forceRefresh: req.query.refresh === "true",
+      page: req.query.page || null,
+      before: req.query.before || null,
+      url: `${handler.siteUrl}${req.url.split("?")[0]}?format=${format}`,
+      ifNoneMatch: req.headers["if-none-match"] || null,
+      ifModifiedSince: req.headers["if-modified-since"] || null,
     });
 
     res.status(result.status);
@@ -404,15 +696,22 @@ export function createNextApiHandler(options = {}) {
  * Créer un handler Next.js App Router
  */
 export function createNextAppHandler(options = {}) {
-  const handler = createUpdatesHandler(options);
+  const handlerPromise = createUpdatesHandler(options);
 
   return async (req, context) => {
+    const handler = await handlerPromise;
     const format = context.params.format || "txt";
-    const searchParams = new URL(req.url).searchParams;
+    const requestUrl = new URL(req.url);
+    const searchParams = requestUrl.searchParams;
 
     const result = await handler({
       format,
       forceRefresh: searchParams.get("refresh") === "true",
+      page: searchParams.get("page"),
+      before: searchParams.get("before"),
+      url: `${handler.siteUrl || requestUrl.origin}${requestUrl.pathname}`,
+      ifNoneMatch: req.headers.get("if-none-match"),
+      ifModifiedSince: req.headers.get("if-modified-since"),
     });
 
     const headers = new Headers();
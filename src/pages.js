@@ -0,0 +1,228 @@
+/**
+ * git2feed - Feed pagination and archives module (RFC 5005)
+ *
+ * Long histories are split so that readers don't download every update:
+ * - generated files keep the newest items and move older ones to yearly
+ *   archives (updates-2024.rss, updates-2024.json...), linked with
+ *   `prev-archive`, `next-archive` and `current` (RFC 5005 archived feeds)
+ * - dynamic endpoints serve pages (`?page=2`, `?before=2024-06-01`), linked
+ *   with `first`, `next` and `previous` (RFC 5005 paged feeds)
+ *
+ * JSON Feed gets `next_url` and updates.json a `links` object instead.
+ *
+ * @author Aurélien Rommelaere <https://arommelaere.com>
+ * @license MIT
+ */
+
+/** Items per page of the dynamic endpoints when no feedLimit is set */
+export const DEFAULT_PAGE_SIZE = 50;
+
+const HISTORY_NS = "http://purl.org/syndication/history/1.0";
+
+/**
+ * Keeps the newest items and splits the others by year, newest first.
+ * Undated (unreleased) items are always kept.
+ * @param {Array<object>} items - Items, newest first
+ * @param {number|null} limit - Items kept, no archives when null
+ * @returns {{current: Array<object>, archives: Array<{year: string, items: Array<object>}>}}
+ */
+export function splitArchives(items, limit) {
+  if (!limit || items.length <= limit) return { current: items, archives: [] };
+
+  const current = items.slice(0, limit);
+  const archives = [];
+  for (const item of items.slice(limit)) {
+    if (!item.date) {
+      current.push(item);
+      continue;
+    }
+    const year = item.date.slice(0, 4);
+    const last = archives[archives.length - 1];
+    if (last && last.year === year) last.items.push(item);
+    else archives.push({ year, items: [item] });
+  }
+  return { current, archives };
+}
+
+/**
+ * Returns the file name of a yearly archive
+ * @param {string} file - File of the current feed (e.g. "updates.feed.json")
+ * @param {string} year
+ * @returns {string} e.g. "updates-2024.feed.json"
+ */
+export function archiveFile(file, year) {
+  return file.replace(/^([^.]+)/, `$1-${year}`);
+}
+
+/**
+ * Returns the RFC 5005 links of the current feed or of one of its archives
+ * @param {string} file - File of the current feed
+ * @param {string[]} years - Archived years, newest first
+ * @param {string|null} year - Archive year, null for the current feed
+ * @param {string} [siteUrl] - Public site URL, for absolute links
+ * @returns {Object<string, string|boolean>} Links by relation, and `archive`
+ */
+export function archiveLinks(file, years, year, siteUrl = "") {
+  const href = (name) => (siteUrl ? `${siteUrl}/${name}` : name);
+  if (year === null) {
+    return years.length
+      ? { "prev-archive": href(archiveFile(file, years[0])) }
+      : {};
+  }
+
+  const index = years.indexOf(year);
+  const links = { current: href(file), archive: true };
+  if (index + 1 < years.length) {
+    links["prev-archive"] = href(archiveFile(file, years[index + 1]));
+  }
+  if (index > 0) {
+    links["next-archive"] = href(archiveFile(file, years[index - 1]));
+  }
+  return links;
+}
+
+/**
+ * Validates the pagination parameters of a request
+ * @param {{page?: string|number|null, before?: string|null}} query
+ * @returns {{page: number|null, before: string|null}} Page number from 1,
+ *   or day (yyyy-MM-dd) items must be older than
+ * @throws {Error} If the page or date is invalid
+ */
+export function parsePageQuery(query = {}) {
+  const { page = null, before = null } = query;
+  if (page !== null && page !== "" && !/^[1-9]\d*$/.test(String(page))) {
+    throw new Error(`Invalid page "${page}" (expected a positive integer)`);
+  }
+  if (before && !/^\d{4}-\d{2}-\d{2}$/.test(before)) {
+    throw new Error(
+      `Invalid before "${before}" (expected a date such as 2024-06-01)`
+    );
+  }
+  return { page: page ? Number(page) : null, before: before || null };
+}
+
+/**
+ * Returns one page of items, selected by number or by date
+ * @param {Array<object>} items - Items, newest first
+ * @param {{page: number|null, before: string|null}} query - See parsePageQuery
+ * @param {number} size - Items per page
+ * @returns {{items: Array<object>, page: number|null, older: boolean}} Page
+ *   number (null for `before` queries) and whether older items remain
+ */
+export function paginate(items, query, size) {
+  if (query.before) {
+    const older = items.filter((item) => item.date && item.date < query.before);
+    return {
+      items: older.slice(0, size),
+      page: null,
+      older: older.length > size,
+    };
+  }
+
+  const page = query.page || 1;
+  return {
+    items: items.slice((page - 1) * size, page * size),
+    page,
+    older: items.length > page * size,
+  };
+}
+
+/**
+ * Returns the RFC 5005 links of a page served by the dynamic endpoints
+ * @param {string} url - Endpoint URL, without pagination parameters
+ * @param {{items: Array<object>, page: number|null, older: boolean}} result
+ *   Result of paginate
+ * @returns {Object<string, string>} Links by relation
+ */
+export function pageLinks(url, result) {
+  const at = (param) => `${url}${url.includes("?") ? "&" : "?"}${param}`;
+  const links = { first: url };
+  if (result.page === null) {
+    const last = result.items[result.items.length - 1];
+    if (result.older && last) links.next = at(`before=${last.date}`);
+    return links;
+  }
+  if (result.older) links.next = at(`page=${result.page + 1}`);
+  if (result.page > 1) {
+    links.previous = result.page === 2 ? url : at(`page=${result.page - 1}`);
+  }
+  return links;
+}
+
+/**
+ * Escapes text for use in an XML attribute
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeAttribute(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Adds pagination and archive links to a rendered document
+ * @param {string} content - Document in one of the built-in formats
+ * @param {string} format - "rss", "atom", "jsonfeed" or "json" (others are
+ *   returned as is)
+ * @param {Object<string, string|boolean>} links - Links by relation, and
+ *   `archive` for archive documents (see archiveLinks and pageLinks)
+ * @returns {string}
+ */
+export function addFeedLinks(content, format, links) {
+  const { archive, ...relations } = links;
+  const entries = Object.entries(relations);
+  if (!entries.length && !archive) return content;
+
+  if (format === "json" || format === "jsonfeed") {
+    const doc = JSON.parse(content);
+    if (format === "json") {
+      doc.links = { ...relations, ...(archive ? { archive: true } : {}) };
+    } else {
+      // JSON Feed pages towards older items only
+      const older = relations["prev-archive"] || relations.next;
+      if (older) doc.next_url = older;
+    }
+    return JSON.stringify(doc, null, 2);
+  }
+
+  if (format === "rss") {
+    const tags = entries.map(
+      ([rel, href]) =>
+        `<atom:link rel="${rel}" href="${escapeAttribute(href)}"/>`
+    );
+    if (archive) tags.push("<fh:archive/>");
+    let rss = content.replace(
+      /(\n(\s*)<channel>)/,
+      (match, open, space) =>
+        `${match}\n${tags.map((tag) => `${space}    ${tag}`).join("\n")}`
+    );
+    if (!rss.includes("xmlns:atom=")) {
+      rss = rss.replace(
+        "<rss ",
+        '<rss xmlns:atom="http://www.w3.org/2005/Atom" '
+      );
+    }
+    if (archive) rss = rss.replace("<rss ", `<rss xmlns:fh="${HISTORY_NS}" `);
+    return rss;
+  }
+
+  if (format === "atom") {
+    const tags = entries.map(
+      ([rel, href]) => `<link rel="${rel}" href="${escapeAttribute(href)}"/>`
+    );
+    if (archive) tags.push("<fh:archive/>");
+    let atom = content.replace(
+      /(<feed[^>]*>)(\n(\s*))/,
+      (match, open, newline, space) =>
+        `${open}${tags.map((tag) => `\n${space}${tag}`).join("")}${newline}`
+    );
+    if (archive) {
+      atom = atom.replace("<feed ", `<feed xmlns:fh="${HISTORY_NS}" `);
+    }
+    return atom;
+  }
+
+  return content;
+}
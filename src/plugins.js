@@ -0,0 +1,196 @@
+/**
+ * git2feed - Plugin module (commit filters, entry/item transforms, renderers)
+ *
+ * A plugin is an object with any of the following hooks:
+ * - `filterCommit(commit, kept, context)`: returns whether to keep a commit
+ *   (`kept` is the decision so far, returning undefined keeps it)
+ * - `transformEntry(entry, commit, context)`: returns the entry to publish
+ *   for a commit, or null to drop it
+ * - `transformItems(items, context)`: returns the items to publish, grouped
+ *   by day or release (`context.level` "group") or one per commit for feeds
+ *   in commit granularity (`context.level` "commit")
+ * - `renderers`: extra or replacement output formats, as
+ *   `{ [format]: { file, contentType, render(items, context) } }`, where
+ *   `context.feedItems` holds the items of feeds. updates.txt keeps its
+ *   format (git hooks and existing tooling read it) and can't be replaced.
+ *
+ * Every hook gets a context with `root`, `outDir`, `siteUrl`, `title` and
+ * the resolved `options`.
+ *
+ * @author Aurélien Rommelaere <https://arommelaere.com>
+ * @license MIT
+ */
+
+import path from "path";
+import { createRequire } from "module";
+import { pathToFileURL } from "url";
+import { FORMATS } from "./render.js";
+
+/** Keys a plugin object may have */
+const PLUGIN_KEYS = [
+  "name",
+  "filterCommit",
+  "transformEntry",
+  "transformItems",
+  "renderers",
+];
+
+/**
+ * Checks the shape of a plugin
+ * @param {any} plugin
+ * @param {string} label - Plugin description for error messages
+ * @returns {object} The plugin, when valid
+ */
+function validatePlugin(plugin, label) {
+  if (!plugin || typeof plugin !== "object" || Array.isArray(plugin)) {
+    throw new Error(`Plugin ${label} must be an object`);
+  }
+
+  const unknown = Object.keys(plugin).filter((k) => !PLUGIN_KEYS.includes(k));
+  if (unknown.length) {
+    throw new Error(
+      `Plugin ${label} has unknown key(s) ${unknown.join(
+        ", "
+      )} (expected ${PLUGIN_KEYS.join(", ")})`
+    );
+  }
+
+  for (const hook of ["filterCommit", "transformEntry", "transformItems"]) {
+    if (plugin[hook] !== undefined && typeof plugin[hook] !== "function") {
+      throw new Error(`Plugin ${label}: ${hook} must be a function`);
+    }
+  }
+
+  for (const [format, renderer] of Object.entries(plugin.renderers || {})) {
+    if (format === "txt") {
+      throw new Error(`Plugin ${label}: the txt format can't be replaced`);
+    }
+    if (!renderer || typeof renderer.render !== "function") {
+      throw new Error(
+        `Plugin ${label}: renderer "${format}" needs a render function`
+      );
+    }
+  }
+
+  return plugin;
+}
+
+/**
+ * Imports a plugin module, resolved from the project root so that packages
+ * installed in the project are found
+ * @param {string} specifier - Relative path or package name
+ * @param {string} root - Project root
+ * @returns {Promise<any>} Default export
+ */
+async function importPlugin(specifier, root) {
+  const file = /^\.{0,2}\//.test(specifier)
+    ? path.resolve(root, specifier)
+    : createRequire(path.join(root, "package.json")).resolve(specifier);
+  const mod = await import(pathToFileURL(file).href);
+  return mod.default !== undefined ? mod.default : mod;
+}
+
+/**
+ * Loads plugins given inline or by module (a module's default export being
+ * a plugin, or a function returning one from its options)
+ * @param {Array<object|string|[string, object]>} plugins - Plugin objects,
+ *   module specifiers, or [specifier, options] pairs
+ * @param {string} root - Project root, to resolve module specifiers
+ * @returns {Promise<Array<object>>}
+ */
+export async function loadPlugins(plugins = [], root = process.cwd()) {
+  const loaded = [];
+
+  for (const entry of plugins || []) {
+    const [spec, pluginOptions] = Array.isArray(entry) ? entry : [entry, {}];
+    const label =
+      typeof spec === "string" ? `"${spec}"` : `#${loaded.length + 1}`;
+
+    let plugin = spec;
+    if (typeof spec === "string") {
+      try {
+        plugin = await importPlugin(spec, root);
+      } catch (error) {
+        throw new Error(`Couldn't load plugin ${label}: ${error.message}`);
+      }
+    }
+    if (typeof plugin === "function") plugin = await plugin(pluginOptions);
+
+    loaded.push(validatePlugin(plugin, label));
+  }
+
+  return loaded;
+}
+
+/**
+ * Runs the filterCommit hooks
+ * @param {Array<object>} plugins
+ * @param {object} commit
+ * @param {boolean} kept - Decision of the built-in filter
+ * @param {object} context
+ * @returns {boolean}
+ */
+export function filterCommit(plugins, commit, kept, context) {
+  return plugins.reduce((keep, plugin) => {
+    if (!plugin.filterCommit) return keep;
+    const result = plugin.filterCommit(commit, keep, context);
+    return result === undefined ? keep : Boolean(result);
+  }, kept);
+}
+
+/**
+ * Runs the transformEntry hooks
+ * @param {Array<object>} plugins
+ * @param {object} entry
+ * @param {object} commit
+ * @param {object} context
+ * @returns {object|null} Entry, or null when a plugin dropped it
+ */
+export function transformEntry(plugins, entry, commit, context) {
+  return plugins.reduce(
+    (current, plugin) =>
+      current && plugin.transformEntry
+        ? plugin.transformEntry(current, commit, context) || null
+        : current,
+    entry
+  );
+}
+
+/**
+ * Runs the transformItems hooks
+ * @param {Array<object>} plugins
+ * @param {Array<object>} items
+ * @param {object} context
+ * @returns {Array<object>}
+ */
+export function transformItems(plugins, items, context) {
+  return plugins.reduce(
+    (current, plugin) =>
+      plugin.transformItems
+        ? plugin.transformItems(current, context) || current
+        : current,
+    items
+  );
+}
+
+/**
+ * Collects the renderers of every plugin, later plugins winning. Renderers
+ * replacing a built-in format keep its file name and content type by default.
+ * @param {Array<object>} plugins
+ * @returns {Object<string, {file: string, contentType: string, render: Function}>}
+ */
+export function pluginRenderers(plugins) {
+  const renderers = {};
+  for (const plugin of plugins) {
+    for (const [format, renderer] of Object.entries(plugin.renderers || {})) {
+      const builtIn = FORMATS[format] || {};
+      renderers[format] = {
+        file: renderer.file || builtIn.file || `updates.${format}`,
+        contentType:
+          renderer.contentType || builtIn.contentType || "text/plain",
+        render: renderer.render,
+      };
+    }
+  }
+  return renderers;
+}
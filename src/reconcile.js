@@ -0,0 +1,133 @@
+/**
+ * git2feed - Rewritten history module (amends, rebases, force-pushes)
+ *
+ * Records of commits that are no longer reachable from HEAD are matched to
+ * their rewritten counterparts, by patch-id when the old commit is still in
+ * the object database, by subject and author date otherwise (both survive a
+ * rebase or an amend).
+ *
+ * @author Aurélien Rommelaere <https://arommelaere.com>
+ * @license MIT
+ */
+
+import { execFileSync } from "child_process";
+import { entryKey } from "./conventional.js";
+import { recordEntry } from "./records.js";
+
+/**
+ * Whether a commit is reachable from HEAD
+ * @param {import("simple-git").SimpleGit} git - simple-git instance
+ * @param {string} hash
+ * @returns {Promise<boolean>} false when the commit is missing too
+ */
+async function isReachable(git, hash) {
+  try {
+    // The merge base of an ancestor and HEAD is the ancestor itself
+    return (await git.raw(["merge-base", hash, "HEAD"])).trim() === hash;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Finds the records of commits that are no longer reachable from HEAD.
+ * Records missing from the log are only suspects when the log covers their
+ * date (or the whole history), since older ones are merely out of the log
+ * window, and each suspect is confirmed with git so that shallow clones or
+ * a changed `paths` option never drop records.
+ * @param {import("simple-git").SimpleGit} git - simple-git instance
+ * @param {Array<object>} records - Records from updates.index.json
+ * @param {Array<object>} commits - Commits of the log, newest first
+ * @param {{truncated?: boolean}} [options] - Whether the log was cut by
+ *   maxCount or since
+ * @returns {Promise<Array<object>>} Stale records
+ */
+export async function findStaleRecords(git, records, commits, options = {}) {
+  const inLog = new Set(commits.map((c) => c.hash));
+  const missing = records.filter((r) => r.hash && !inLog.has(r.hash));
+  if (!missing.length) return [];
+
+  const shallow =
+    (await git.raw(["rev-parse", "--is-shallow-repository"])).trim() === "true";
+  const complete = !options.truncated && !shallow;
+  const oldest = Math.min(...commits.map((c) => Date.parse(c.date)));
+  const suspects = missing.filter(
+    (r) => complete || Date.parse(r.date) >= oldest
+  );
+
+  const stale = [];
+  for (const record of suspects) {
+    if (!(await isReachable(git, record.hash))) stale.push(record);
+  }
+  return stale;
+}
+
+/**
+ * Computes the stable patch-id of commits (see git-patch-id(1))
+ * @param {import("simple-git").SimpleGit} git - simple-git instance
+ * @param {string} root - Repository root
+ * @param {string[]} hashes
+ * @returns {Promise<Map<string, string>>} Patch-id per hash; commits that are
+ *   missing or have no diff are left out
+ */
+export async function patchIds(git, root, hashes) {
+  const ids = new Map();
+  for (const hash of hashes) {
+    try {
+      const patch = await git.show(["--format=commit %H", "-p", hash]);
+      // simple-git can't write to stdin, so git patch-id is run directly
+      const [id] = execFileSync("git", ["patch-id", "--stable"], {
+        cwd: root,
+        input: patch,
+        encoding: "utf8",
+      })
+        .trim()
+        .split(" ");
+      if (id) ids.set(hash, id);
+    } catch {
+      // Commit gone with the force-push: only subject and date can match it
+    }
+  }
+  return ids;
+}
+
+/**
+ * Matches stale records to the commits that replaced them: same patch-id
+ * first, then same published point and author date. Each commit replaces
+ * one record at most.
+ * @param {Array<object>} stale - Stale records (see findStaleRecords)
+ * @param {Array<object>} commits - Commits of the log that have no record
+ * @param {object} options
+ * @param {Map<string, string>} [options.patchIds] - Patch-ids (see patchIds)
+ * @param {function(object): string|null} options.keyOf - entryKey of the
+ *   entry a commit would publish (null when it publishes none)
+ * @returns {Map<string, object>} Replacing commit per stale record hash
+ */
+export function matchRewritten(stale, commits, options) {
+  const ids = options.patchIds || new Map();
+  const matches = new Map();
+  const used = new Set();
+
+  const match = (test) => {
+    for (const record of stale) {
+      if (matches.has(record.hash)) continue;
+      const commit = commits.find((c) => !used.has(c.hash) && test(record, c));
+      if (commit) {
+        matches.set(record.hash, commit);
+        used.add(commit.hash);
+      }
+    }
+  };
+
+  match(
+    (record, c) =>
+      ids.has(record.hash) && ids.get(record.hash) === ids.get(c.hash)
+  );
+  match(
+    (record, c) =>
+      Date.parse(record.date) === Date.parse(c.date) &&
+      entryKey(recordEntry(record)) === options.keyOf(c)
+  );
+
+  return matches;
+}
@@ -0,0 +1,267 @@
+/**
+ * git2feed - Commit records module (updates.index.json)
+ *
+ * The index keeps one record per published commit: hash, date, release and
+ * the entry as published. Records only hold processed text, never the raw
+ * commit message, since the index sits next to the public feeds. Every
+ * output, updates.txt included, is rendered from them.
+ *
+ * @author Aurélien Rommelaere <https://arommelaere.com>
+ * @license MIT
+ */
+
+import fs from "fs";
+import {
+  parsePoint,
+  sectionByTitle,
+  formatPoint,
+  entryKey,
+  dedupeEntries,
+} from "./conventional.js";
+import { releaseHeading, periodHeading, parseHeading } from "./releases.js";
+import { dayOf, periodStart } from "./dates.js";
+import { commitItem } from "./render.js";
+
+/** Version of the updates.index.json layout */
+export const INDEX_VERSION = 2;
+
+/**
+ * Builds the record of a published commit
+ * @param {{hash: string, date: string}} commit - Commit as returned by simple-git
+ * @param {object} entry - Entry published for the commit (see parseCommit)
+ * @param {{release: {version: string, date: string}|null, redaction: string|null}} meta
+ *   Release containing the commit (null if unreleased) and redactionVersion
+ * @returns {object}
+ */
+export function commitRecord(commit, entry, { release, redaction }) {
+  return {
+    hash: commit.hash,
+    date: commit.date,
+    release,
+    ...entry,
+    redaction,
+  };
+}
+
+/**
+ * Returns the entry a record publishes
+ * @param {object} record
+ * @returns {object}
+ */
+export function recordEntry(record) {
+  const { hash, date, release, redaction, ...entry } = record;
+  return entry;
+}
+
+/**
+ * Returns the heading of the block a record is listed under
+ * @param {object} record
+ * @param {string} groupBy - One of GROUP_BY ("none" lists records by day)
+ * @param {string} [timeZone] - IANA time zone of days
+ * @returns {string}
+ */
+export function recordHeading(record, groupBy, timeZone) {
+  // Points migrated from an "Unreleased" block have no date
+  if (groupBy === "release" || !record.date) {
+    return releaseHeading(record.release || null, timeZone);
+  }
+  const period = groupBy === "none" ? "day" : groupBy;
+  return periodHeading(
+    periodStart(dayOf(record.date, timeZone), period),
+    period
+  );
+}
+
+/**
+ * Groups records into items, newest first: by day, week or month, or by
+ * release with "Unreleased" first. Records rendering as the same point are
+ * merged. With groupBy "none", every record is an item of its own. The
+ * undated "Unreleased" item gets the `timestamp` of its newest commit, so
+ * that feeds don't date it from each generation.
+ * @param {Array<object>} records - Records, newest first
+ * @param {string} [groupBy] - One of GROUP_BY
+ * @param {string} [timeZone] - IANA time zone of days, the machine's by default
+ * @returns {Array<{date: string|null, version?: string, unreleased?: boolean, period?: string, timestamp?: string, points: string[], entries: Array<object>}>}
+ */
+export function groupRecords(records, groupBy = "day", timeZone) {
+  if (groupBy === "none") {
+    return records.map((record) =>
+      record.hash
+        ? commitItem(record, recordEntry(record), timeZone)
+        : {
+            ...parseHeading(recordHeading(record, groupBy, timeZone)),
+            points: [formatPoint(recordEntry(record))],
+            entries: [recordEntry(record)],
+          }
+    );
+  }
+
+  const grouped = new Map();
+  const order = {};
+  // Newest commit date of each block
+  const latest = {};
+
+  for (const record of records) {
+    const heading = recordHeading(record, groupBy, timeZone);
+    if (!grouped.has(heading)) {
+      grouped.set(heading, []);
+      if (groupBy === "release") {
+        order[heading] = record.release
+          ? Date.parse(record.release.date)
+          : Infinity;
+      } else {
+        order[heading] = Date.parse(parseHeading(heading).date);
+      }
+    }
+    const time = record.date ? Date.parse(record.date) : NaN;
+    if (!isNaN(time) && !(latest[heading] >= time)) latest[heading] = time;
+    // The hash of the first commit of a point is kept for point templates
+    grouped
+      .get(heading)
+      .push(
+        record.hash
+          ? { ...recordEntry(record), hash: record.hash }
+          : recordEntry(record)
+      );
+  }
+
+  return [...grouped.entries()]
+    .sort((a, b) => order[b[0]] - order[a[0]])
+    .map(([heading, entries]) => {
+      const unique = dedupeEntries(entries);
+      const block = parseHeading(heading);
+      return {
+        ...block,
+        ...(!block.date && heading in latest
+          ? { timestamp: new Date(latest[heading]).toISOString() }
+          : {}),
+        points: unique.map(formatPoint),
+        entries: unique,
+      };
+    });
+}
+
+/**
+ * Lists the commits behind each point of the items built by groupRecords,
+ * by the hash kept on the point, so that every commit gets an anchor
+ * @param {Array<object>} records - Records, newest first
+ * @param {string} [groupBy] - One of GROUP_BY
+ * @param {string} [timeZone] - IANA time zone of days
+ * @returns {Map<string, string[]>} Hashes of the merged commits, the kept
+ *   one first
+ */
+export function pointHashes(records, groupBy = "day", timeZone) {
+  const kept = new Map();
+  const hashes = new Map();
+  for (const record of records) {
+    const key = `${recordHeading(record, groupBy, timeZone)}\n${entryKey(
+      recordEntry(record)
+    )}`;
+    // Points migrated without their commit keep no hash (nor anchor)
+    if (!kept.has(key)) {
+      kept.set(key, record.hash || null);
+      if (record.hash) hashes.set(record.hash, []);
+    }
+    if (record.hash && kept.get(key)) {
+      hashes.get(kept.get(key)).push(record.hash);
+    }
+  }
+  return hashes;
+}
+
+/**
+ * Parses updates.txt back into blocks of entries (section headings included)
+ * @param {string} txt - updates.txt content
+ * @returns {Array<{heading: string, entries: Array<object>}>}
+ */
+export function parseTxt(txt) {
+  if (!txt.trim()) return [];
+
+  return txt
+    .trim()
+    .split(/\n\s*\n/)
+    .map((block) => {
+      const lines = block.trim().split("\n");
+      const entries = [];
+      let section = null;
+      for (const line of lines.slice(1)) {
+        const heading = line.match(/^([^-].*):$/);
+        if (heading && sectionByTitle(heading[1].trim())) {
+          section = sectionByTitle(heading[1].trim());
+          continue;
+        }
+        entries.push(parsePoint(line.replace(/^- /, "").trim(), section));
+      }
+      return { heading: lines[0].trim(), entries };
+    });
+}
+
+/**
+ * Reads updates.index.json
+ * @param {string} file
+ * @returns {object|null} Index, or null if missing or unreadable
+ */
+export function readIndex(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Converts a version 1 index (`seen` hashes only) and the updates.txt it was
+ * written with into records. Points of updates.txt are matched back to the
+ * seen commits still within the log (same heading and point), restoring
+ * their hash and date. Other points keep the day or release of their block,
+ * without a hash, and a null redaction so current rules apply to them.
+ * @param {{seen?: string[]}} index - Version 1 index
+ * @param {string} txt - updates.txt content
+ * @param {Array<{heading: string, record: object}>} candidates - Records of
+ *   the seen commits within the log, with the heading they'd be listed under
+ * @returns {{records: Array<object>, skipped: string[]}} Records, and seen
+ *   commits that aren't in updates.txt (so they aren't published again)
+ */
+export function migrateIndex(index, txt, candidates) {
+  const byPoint = new Map();
+  for (const { heading, record } of candidates) {
+    const key = `${heading}\n${entryKey(recordEntry(record))}`;
+    byPoint.set(key, [...(byPoint.get(key) || []), record]);
+  }
+
+  const records = [];
+  for (const { heading, entries } of parseTxt(txt)) {
+    const block = parseHeading(heading);
+    for (const entry of entries) {
+      const key = `${heading}\n${entryKey(entry)}`;
+      const matches = byPoint.get(key);
+      if (matches) {
+        records.push(...matches);
+        byPoint.delete(key);
+        continue;
+      }
+      let release;
+      if (block.unreleased) release = null;
+      else if (block.version) {
+        release = { version: block.version, date: block.date };
+      }
+      records.push({
+        hash: null,
+        date: block.date,
+        release,
+        ...entry,
+        redaction: null,
+      });
+    }
+  }
+
+  // Newest first, like records of new commits (undated points are unreleased)
+  const time = (r) => (r.date ? Date.parse(r.date) : Infinity);
+  records.sort((a, b) => time(b) - time(a));
+
+  const published = new Set(records.map((r) => r.hash));
+  return {
+    records,
+    skipped: (index.seen || []).filter((hash) => !published.has(hash)),
+  };
+}
@@ -0,0 +1,332 @@
+/**
+ * git2feed - Redaction module (confidential terms, regex rules, detectors)
+ *
+ * @author Aurélien Rommelaere <https://arommelaere.com>
+ * @license MIT
+ */
+
+import { createHash } from "crypto";
+
+/** Replacement of confidential terms and of rules without `replace` */
+export const CONFIDENTIAL = "--confidential--";
+
+/** Top-level domains that only exist on private networks */
+const INTERNAL_TLDS = [
+  "internal",
+  "local",
+  "localdomain",
+  "lan",
+  "corp",
+  "intranet",
+  "private",
+  "home.arpa",
+];
+
+/** Characters that make a literal part of a longer word */
+const WORD = "[\\p{L}\\p{N}_]";
+
+/**
+ * Escapes text for use in a RegExp
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Whether a URL points to an issue tracker ticket
+ * @param {string} url
+ * @returns {boolean}
+ */
+function isTicketUrl(url) {
+  return (
+    /^https?:\/\/[^/\s]*(atlassian\.net|jira\.|youtrack\.|linear\.app|app\.shortcut\.com|app\.clickup\.com)/i.test(
+      url
+    ) ||
+    /\/(browse\/[A-Z][A-Z0-9]+-\d+|(-\/)?issues\/\d+|tickets?\/\d+|work_?items?\/\d+)\b/i.test(
+      url
+    )
+  );
+}
+
+/** Names followed by a version rather than an IP address, as in "node 18.19.0.1" */
+const VERSIONED = [
+  "version",
+  "release",
+  "node",
+  "nodejs",
+  "npm",
+  "pnpm",
+  "yarn",
+  "python",
+  "java",
+  "dotnet",
+  "chrome",
+  "firefox",
+  "safari",
+  "ios",
+  "android",
+  "windows",
+];
+
+/**
+ * Built-in detectors, in the order they are applied. URLs come first since
+ * they contain hosts, and emails before hostnames for the same reason.
+ */
+export const DETECTORS = {
+  "ticket-url": {
+    pattern: /https?:\/\/[^\s<>"')\]]+/g,
+    replace: (url) => (isTicketUrl(url) ? "[ticket]" : url),
+  },
+  email: {
+    // The domain ends with an alphabetic TLD, so package@1.2.3 is left alone
+    pattern: /[\w.+-]+@(?:[A-Za-z0-9-]+\.)+[A-Za-z]{2,}(?![\w-])/g,
+    replace: "[email]",
+  },
+  token: {
+    pattern: new RegExp(
+      [
+        // JWT
+        "eyJ[\\w-]+\\.eyJ[\\w-]+\\.[\\w-]+",
+        // Well-known key prefixes (GitHub, Slack, Stripe, OpenAI, AWS, Google)
+        "(?:gh[pousr]_|github_pat_)\\w{20,}",
+        "xox[abprs]-[\\w-]{10,}",
+        "(?:sk|pk|rk)_(?:live|test)_\\w{16,}",
+        "sk-[\\w-]{20,}",
+        "(?:AKIA|ASIA)[0-9A-Z]{16}",
+        "AIza[\\w-]{35}",
+        // Long strings mixing upper case, lower case and digits
+        "(?=[\\w-]*[A-Z])(?=[\\w-]*[a-z])(?=[\\w-]*\\d)[\\w-]{32,}",
+      ]
+        .map((p) => `(?<![\\w-])${p}(?![\\w-])`)
+        .join("|"),
+      "g"
+    ),
+    replace: "[token]",
+  },
+  hostname: {
+    pattern: null, // built from INTERNAL_TLDS and options.internalDomains
+    replace: "[host]",
+  },
+  ip: {
+    pattern: new RegExp(
+      [
+        "(?<![\\w.:@=])",
+        // Four-part versions: "pkg@1.2.3.4", "node 18.19.0.1"
+        `(?<!\\b(?:${VERSIONED.join("|")}) )`,
+        "(?:(?:(?:25[0-5]|2[0-4]\\d|1?\\d?\\d)\\.){3}(?:25[0-5]|2[0-4]\\d|1?\\d?\\d)",
+        "|(?:[0-9a-f]{0,4}:){2,7}[0-9a-f]{0,4})(?![\\w.:])",
+      ].join(""),
+      "gi"
+    ),
+    // IPv6 addresses must be compressed ("::") or complete, which rules out
+    // times like 12:30:45
+    replace: (ip) =>
+      ip.includes(".") || ip.includes("::") || ip.split(":").length === 8
+        ? "[ip]"
+        : ip,
+  },
+};
+
+/**
+ * Splits a list option into its items
+ * @param {string|string[]|null} value - Comma-separated string or array
+ * @returns {string[]}
+ */
+function toList(value) {
+  if (!value) return [];
+  return (Array.isArray(value) ? value : String(value).split(","))
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Builds a rule replacing a term only when it is a whole word (or words):
+ * hiding "api" leaves "rapid" untouched. Matching is case-insensitive.
+ * @param {string} term
+ * @param {string} replace
+ * @returns {{pattern: RegExp, replace: string}}
+ */
+export function literalRule(term, replace) {
+  return {
+    pattern: new RegExp(`(?<!${WORD})${escapeRegExp(term)}(?!${WORD})`, "giu"),
+    replace,
+  };
+}
+
+/**
+ * Compiles a user rule: a string (whole-word literal), `{match, replace}`
+ * (whole-word literal) or `{pattern, flags, replace}` (regex, `replace`
+ * supporting $1 and $<name> templates)
+ * @param {string|object} rule
+ * @returns {{pattern: RegExp, replace: string}}
+ */
+export function compileRule(rule) {
+  if (typeof rule === "string") return literalRule(rule, CONFIDENTIAL);
+
+  const replace =
+    rule && rule.replace !== undefined ? rule.replace : CONFIDENTIAL;
+  if (rule && typeof rule.match === "string" && rule.match) {
+    return literalRule(rule.match, replace);
+  }
+  if (rule && typeof rule.pattern === "string" && rule.pattern) {
+    const flags = [...new Set(`g${rule.flags || ""}`)].join("");
+    try {
+      return { pattern: new RegExp(rule.pattern, flags), replace };
+    } catch (error) {
+      throw new Error(
+        `Invalid redaction pattern "${rule.pattern}": ${error.message}`
+      );
+    }
+  }
+
+  throw new Error(
+    `Invalid redaction rule ${JSON.stringify(
+      rule
+    )}: expected a string, {match, replace} or {pattern, flags, replace}`
+  );
+}
+
+/**
+ * Builds the built-in detector rules
+ * @param {string[]|string|boolean} names - Detector names, or true for all
+ * @param {string[]|string} [internalDomains] - Extra private domains
+ *   (e.g. corp.example.com) for the hostname detector
+ * @returns {Array<{pattern: RegExp, replace: string|Function}>}
+ */
+export function detectorRules(names, internalDomains = []) {
+  const wanted = names === true ? Object.keys(DETECTORS) : toList(names);
+  const unknown = wanted.filter((name) => !DETECTORS[name]);
+  if (unknown.length) {
+    throw new Error(
+      `Unknown redaction detector(s): ${unknown.join(
+        ", "
+      )} (expected ${Object.keys(DETECTORS).join(", ")})`
+    );
+  }
+
+  // Any host under an internal TLD, and the configured domains themselves
+  const tlds = INTERNAL_TLDS.map(escapeRegExp).join("|");
+  const domains = toList(internalDomains)
+    .map((d) => escapeRegExp(d.replace(/^\./, "")))
+    .join("|");
+  const host = `(?:[a-z0-9-]+\\.)+(?:${tlds})${
+    domains ? `|(?:[a-z0-9-]+\\.)*(?:${domains})` : ""
+  }`;
+  const hostname = new RegExp(
+    `(?<![\\w.-])(?:${host})(?::\\d+)?(?![\\w.-])`,
+    "gi"
+  );
+
+  return Object.keys(DETECTORS)
+    .filter((name) => wanted.includes(name))
+    .map((name) => ({
+      ...DETECTORS[name],
+      ...(name === "hostname" ? { pattern: hostname } : {}),
+      label: `detector ${name}`,
+    }));
+}
+
+/**
+ * Builds the rules of createRedactor, in the order they apply, each labelled
+ * with the option it comes from
+ * @param {object} options - See createRedactor
+ * @returns {Array<{pattern: RegExp, replace: string|Function, label: string}>}
+ */
+function redactionRules(options) {
+  return [
+    ...(options.redactDetectors
+      ? detectorRules(options.redactDetectors, options.internalDomains)
+      : []),
+    ...(options.redact || []).map((rule, i) => ({
+      ...compileRule(rule),
+      label: `redact[${i}]`,
+    })),
+    ...toList(options.confidential).map((t) => ({
+      ...literalRule(t, CONFIDENTIAL),
+      label: `confidential "${t}"`,
+    })),
+    ...toList(options.hide).map((t) => ({
+      ...literalRule(t, ""),
+      label: `hide "${t}"`,
+    })),
+  ];
+}
+
+/**
+ * Creates the function redacting commit messages, applied identically by
+ * the CLI and the middleware. Detectors run first, then `redact` rules,
+ * then `confidential` terms (replaced by "--confidential--") and `hide`
+ * terms (removed).
+ * @param {object} [options]
+ * @param {string[]|string} [options.confidential] - Whole-word terms to replace
+ * @param {string[]|string} [options.hide] - Whole-word terms to remove
+ * @param {Array<string|object>} [options.redact] - Rules (see compileRule)
+ * @param {string[]|string|boolean} [options.redactDetectors] - Built-in
+ *   detectors to enable (email, hostname, ip, token, ticket-url), true for all
+ * @param {string[]|string} [options.internalDomains] - Extra private domains
+ * @returns {(text: string) => string}
+ */
+export function createRedactor(options = {}) {
+  const rules = redactionRules(options);
+
+  return (text) =>
+    rules.reduce(
+      (result, rule) => result.replace(rule.pattern, rule.replace),
+      text
+    );
+}
+
+/**
+ * Creates the function explaining what createRedactor would change in a
+ * text, for dry runs
+ * @param {object} [options] - See createRedactor
+ * @returns {(text: string) => Array<{rule: string, matches: string[]}>} Rules
+ *   that change the text, with the text they replace
+ */
+export function explainRedaction(options = {}) {
+  const rules = redactionRules(options);
+
+  return (text) => {
+    const hits = [];
+    let current = text;
+    for (const rule of rules) {
+      const next = current.replace(rule.pattern, rule.replace);
+      if (next !== current) {
+        // Detectors with a replace function leave some matches untouched
+        const matches = [...current.matchAll(rule.pattern)]
+          .map((m) => m[0])
+          .filter(
+            (m) => typeof rule.replace !== "function" || rule.replace(m) !== m
+          );
+        hits.push({ rule: rule.label, matches });
+      }
+      current = next;
+    }
+    return hits;
+  };
+}
+
+/**
+ * Fingerprints the rules shaping published text (redaction options and
+ * branch stripping). Records of updates.index.json store it, so text
+ * published under other rules can be processed again.
+ * @param {object} [options] - Same options as createRedactor, plus stripBranch
+ * @returns {string}
+ */
+export function redactionVersion(options = {}) {
+  const rules = {
+    stripBranch: Boolean(options.stripBranch),
+    redactDetectors:
+      options.redactDetectors === true ? true : toList(options.redactDetectors),
+    internalDomains: toList(options.internalDomains),
+    redact: options.redact || [],
+    confidential: toList(options.confidential),
+    hide: toList(options.hide),
+  };
+  return createHash("sha1")
+    .update(JSON.stringify(rules))
+    .digest("hex")
+    .slice(0, 12);
+}
@@ -0,0 +1,199 @@
+/**
+ * git2feed - Release (git tag) grouping module
+ *
+ * @author Aurélien Rommelaere <https://arommelaere.com>
+ * @license MIT
+ */
+
+import { dayOf } from "./dates.js";
+
+/** Heading used for commits made after the most recent tag */
+export const UNRELEASED = "Unreleased";
+
+/**
+ * Reads the date of every tag in the repository. Annotated tags use their
+ * tagger date, lightweight tags the date of the commit they point to.
+ * @param {import("simple-git").SimpleGit} git - simple-git instance
+ * @returns {Promise<Object<string, string>>} Map of tag name to ISO date
+ */
+export async function readTagDates(git) {
+  try {
+    const out = await git.raw([
+      "for-each-ref",
+      "--format=%(refname:short)%09%(creatordate:iso-strict)",
+      "refs/tags",
+    ]);
+    const dates = {};
+    for (const line of out.split("\n")) {
+      const [name, date] = line.trim().split("\t");
+      if (name && date) dates[name] = date;
+    }
+    return dates;
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Extracts tag names from a git decoration string ("HEAD -> main, tag: v1.0.0")
+ * @param {string} refs - Decoration as returned by simple-git in `refs`
+ * @returns {string[]} Tag names, version-looking tags first
+ */
+export function tagsFromRefs(refs) {
+  const tags = (refs || "")
+    .split(",")
+    .map((r) => r.trim())
+    .filter((r) => r.startsWith("tag: "))
+    .map((r) => r.slice(5).trim());
+  const isVersion = (t) => /^v?\d/.test(t);
+  return [...tags.filter(isVersion), ...tags.filter((t) => !isVersion(t))];
+}
+
+/**
+ * Reads the release that first contains each commit from the tag ancestry:
+ * a commit belongs to the oldest tag it is reachable from. Unlike
+ * assignReleases, the order of the log doesn't matter, so commits of a
+ * branch merged after a tag stay out of that tag's release.
+ * @param {import("simple-git").SimpleGit} git - simple-git instance
+ * @param {Object<string, string>} tagDates - Tag dates from readTagDates
+ * @returns {Promise<Map<string, {version: string, date: string}>>} Release per
+ *   commit hash, unreleased commits being left out
+ */
+export async function readReleases(git, tagDates) {
+  const releases = new Map();
+  const names = Object.keys(tagDates);
+  if (!names.length) return releases;
+
+  // Commit of each tag (annotated tags are peeled)
+  const refs = await git.raw([
+    "for-each-ref",
+    "--format=%(refname:short)%09%(objectname)%09%(*objectname)",
+    "refs/tags",
+  ]);
+  const tagCommits = {};
+  for (const line of refs.split("\n")) {
+    const [name, object, peeled] = line.trim().split("\t");
+    if (name && object) tagCommits[name] = peeled || object;
+  }
+
+  // Parents of every commit reachable from a tag
+  const graph = await git.raw(["rev-list", "--parents", "--tags"]);
+  const parents = new Map();
+  for (const line of graph.split("\n")) {
+    const [hash, ...rest] = line.trim().split(" ");
+    if (hash) parents.set(hash, rest);
+  }
+
+  // Oldest tags first, version-looking tags first on the same date. A commit
+  // claimed by a tag has all its ancestors claimed, so the walk stops there.
+  const isVersion = (t) => /^v?\d/.test(t);
+  const ordered = names
+    .filter((name) => tagCommits[name])
+    .sort(
+      (a, b) =>
+        Date.parse(tagDates[a]) - Date.parse(tagDates[b]) ||
+        isVersion(b) - isVersion(a)
+    );
+  for (const name of ordered) {
+    const release = { version: name, date: tagDates[name] };
+    const stack = [tagCommits[name]];
+    while (stack.length) {
+      const hash = stack.pop();
+      if (releases.has(hash) || !parents.has(hash)) continue;
+      releases.set(hash, release);
+      stack.push(...parents.get(hash));
+    }
+  }
+
+  return releases;
+}
+
+/**
+ * Assigns each commit to the release that first contains it by walking the
+ * log from newest to oldest: a tagged commit opens a release and every older
+ * commit belongs to it until the next tag. Commits above the newest tag are
+ * unreleased. Only for logs without the tag ancestry (the GitHub API): see
+ * readReleases.
+ * @param {Array<object>} commits - Commits, newest first, with `refs`
+ * @param {Object<string, string>} [tagDates] - Tag dates from readTagDates
+ * @returns {Map<string, {version: string, date: string}|null>} Release per commit hash
+ */
+export function assignReleases(commits, tagDates = {}) {
+  const releases = new Map();
+  let current = null;
+
+  for (const c of commits) {
+    const [tag] = tagsFromRefs(c.refs);
+    if (tag) {
+      current = { version: tag, date: tagDates[tag] || c.date };
+    }
+    releases.set(c.hash, current);
+  }
+
+  return releases;
+}
+
+/**
+ * Returns the block heading for a release, as written in updates.txt
+ * @param {{version: string, date: string}|null} release - null when unreleased
+ * @param {string} [timeZone] - IANA time zone of the release day
+ * @returns {string} "v1.2.0 (2025-01-01)" or "Unreleased"
+ */
+export function releaseHeading(release, timeZone) {
+  if (!release) return UNRELEASED;
+  return `${release.version} (${dayOf(release.date, timeZone)})`;
+}
+
+/**
+ * Returns the heading of a day, week or month block
+ * @param {string} day - First day of the period, yyyy-MM-dd
+ * @param {string} [period] - "day", "week" or "month"
+ * @returns {string} "2025-01-13", "Week of 2025-01-13" or "2025-01"
+ */
+export function periodHeading(day, period = "day") {
+  if (period === "week") return `Week of ${day}`;
+  if (period === "month") return day.slice(0, 7);
+  return day;
+}
+
+/**
+ * Returns the heading of an item, whatever its grouping mode
+ * @param {{date: string|null, version?: string, unreleased?: boolean, period?: string}} item
+ * @returns {string}
+ */
+export function itemHeading(item) {
+  if (item.unreleased) return UNRELEASED;
+  if (item.version) return `${item.version} (${item.date})`;
+  return periodHeading(item.date, item.period);
+}
+
+/**
+ * Parses a block heading from updates.txt back into item fields
+ * @param {string} line - First line of a block
+ * @returns {{date: string|null, version?: string, unreleased?: boolean, period?: string}}
+ */
+export function parseHeading(line) {
+  const heading = line.trim();
+  if (heading === UNRELEASED) {
+    return { version: UNRELEASED, unreleased: true, date: null };
+  }
+  const match = heading.match(/^(.+) \((\d{4}-\d{2}-\d{2})\)$/);
+  if (match) return { version: match[1], date: match[2] };
+  const week = heading.match(/^Week of (\d{4}-\d{2}-\d{2})$/);
+  if (week) return { date: week[1], period: "week" };
+  if (/^\d{4}-\d{2}$/.test(heading)) {
+    return { date: `${heading}-01`, period: "month" };
+  }
+  return { date: heading };
+}
+
+/**
+ * Returns the anchor identifying an item in /updates URLs and feed ids
+ * @param {{date: string|null, version?: string, unreleased?: boolean, hash?: string}} item
+ * @returns {string}
+ */
+export function itemAnchor(item) {
+  if (item.hash) return item.hash;
+  if (item.unreleased) return "unreleased";
+  return item.version || item.date;
+}
@@ -0,0 +1,418 @@
+/**
+ * git2feed - Feed rendering module (RSS 2.0, Atom 1.0, JSON Feed 1.1)
+ *
+ * @author Aurélien Rommelaere <https://arommelaere.com>
+ * @license MIT
+ */
+
+import { Feed } from "feed";
+import { formatEntries, formatPoint } from "./conventional.js";
+import { itemAnchor, itemHeading } from "./releases.js";
+import { dayOf, startOfDay } from "./dates.js";
+import { mergeAuthors } from "./authors.js";
+import { itemTitle, pointFormatter } from "./templates.js";
+
+/**
+ * Output formats with their file name and HTTP content type
+ */
+export const FORMATS = {
+  txt: { file: "updates.txt", contentType: "text/plain" },
+  json: { file: "updates.json", contentType: "application/json" },
+  rss: { file: "updates.rss", contentType: "application/rss+xml" },
+  atom: { file: "updates.atom", contentType: "application/atom+xml" },
+  jsonfeed: {
+    file: "updates.feed.json",
+    contentType: "application/feed+json",
+  },
+  html: { file: "updates.html", contentType: "text/html; charset=utf-8" },
+};
+
+/** Formats written when none are requested explicitly */
+export const DEFAULT_FORMATS = ["txt", "json", "rss", "html"];
+
+/** Title of feeds and pages when none is configured */
+export const DEFAULT_TITLE = "Project Updates";
+
+/** Formats that are syndication feeds, linked from the HTML page */
+export const FEED_FORMATS = ["rss", "atom", "jsonfeed"];
+
+/** Generator advertised by every feed */
+export const GENERATOR =
+  "git2feed by Aurélien Rommelaere (https://arommelaere.com)";
+
+/**
+ * Feed item granularities: one item per block (day or release) or one item
+ * per commit
+ */
+export const GRANULARITIES = ["day", "commit"];
+
+/**
+ * Builds a feed item for a single commit
+ * @param {{hash: string, date: string}} commit - Commit as returned by simple-git
+ * @param {object} entry - Parsed entry for the commit message
+ * @param {string} [timeZone] - IANA time zone of `date`, the machine's by default
+ * @returns {{hash: string, timestamp: string, date: string, points: string[], entries: Array<object>}}
+ */
+export function commitItem(commit, entry, timeZone) {
+  return {
+    hash: commit.hash,
+    timestamp: new Date(commit.date).toISOString(),
+    date: dayOf(commit.date, timeZone),
+    points: [formatPoint(entry)],
+    entries: [entry],
+  };
+}
+
+/**
+ * Renders items as updates.txt: one block per item, separated by blank lines
+ * @param {Array<object>} items
+ * @param {object|null} [templates] - Title and point templates (see
+ *   resolveTemplates)
+ * @returns {string}
+ */
+export function renderTxt(items, templates = null) {
+  if (!items.length) return "";
+  return (
+    items
+      .map((item) =>
+        [
+          itemTitle(item, templates),
+          ...formatEntries(
+            item.entries,
+            "- ",
+            pointFormatter(templates, item.hash)
+          ),
+        ].join("\n")
+      )
+      .join("\n\n") + "\n"
+  );
+}
+
+/**
+ * Renders items as updates.json, each item with its title
+ * @param {Array<object>} items
+ * @param {object|null} [templates] - Title and point templates (see
+ *   resolveTemplates)
+ * @returns {string}
+ */
+export function renderJson(items, templates = null) {
+  return JSON.stringify(
+    {
+      updated_at: new Date().toISOString(),
+      items: items.map((item) => ({
+        title: itemTitle(item, templates, blockTitle(item)),
+        ...item,
+      })),
+    },
+    null,
+    2
+  );
+}
+
+/**
+ * Parses and validates a list of formats
+ * @param {string|string[]|null} formats - Comma-separated list or array
+ * @param {string[]} [extra] - Formats added by plugins, written by default
+ *   along with DEFAULT_FORMATS
+ * @returns {string[]} Known format names, in the order given
+ */
+export function parseFormats(formats, extra = []) {
+  const known = [...Object.keys(FORMATS), ...extra];
+  if (!formats) {
+    return [
+      ...new Set([...DEFAULT_FORMATS, ...extra.filter((f) => !FORMATS[f])]),
+    ];
+  }
+  const list = (Array.isArray(formats) ? formats : String(formats).split(","))
+    .map((f) => f.trim().toLowerCase())
+    .filter(Boolean);
+  const unknown = list.filter((f) => !known.includes(f));
+  if (unknown.length) {
+    throw new Error(
+      `Unknown format(s): ${unknown.join(", ")} (expected ${[
+        ...new Set(known),
+      ].join(", ")})`
+    );
+  }
+  return [...new Set(list)];
+}
+
+/**
+ * Authors credited on an item, from the authors of its entries
+ * @param {object} it - Item as written in updates.json
+ * @returns {Array<{name: string}>} Empty unless authors are enabled
+ */
+function itemAuthors(it) {
+  return mergeAuthors(...(it.entries || []).map((e) => e.authors || []));
+}
+
+/**
+ * Default title of an item in feeds and updates.json: its version or heading
+ * @param {object} it - Item as written in updates.json
+ * @returns {string}
+ */
+function blockTitle(it) {
+  return it.version || itemHeading(it);
+}
+
+/**
+ * Converts items to the fields shared by every feed format
+ * @param {Array<object>} items - Items as written in updates.json
+ * @param {string} siteUrl - Public site URL, may be empty
+ * @param {{timeZone?: string, templates?: object}} [channel] - Time zone days
+ *   start in, and title and point templates
+ * @returns {Array<{title: string, id: string, link: string, date: Date, description: string, author: Array<{name: string}>}>}
+ */
+function feedEntries(items, siteUrl, channel = {}) {
+  return items.map((it) => ({
+    ...(it.hash
+      ? commitEntry(it, siteUrl, channel.templates)
+      : blockEntry(it, siteUrl, channel)),
+    author: itemAuthors(it),
+  }));
+}
+
+/**
+ * Converts a per-commit item to feed fields. The commit hash is the GUID so
+ * the item never changes identity once published.
+ * @param {object} it - Item built by commitItem
+ * @param {string} siteUrl - Public site URL, may be empty
+ * @param {object|null} [templates] - The point template titles the item
+ * @returns {object}
+ */
+function commitEntry(it, siteUrl, templates = null) {
+  const [entry] = it.entries;
+  const format = pointFormatter(templates, it.hash);
+  const subject = entry.scope
+    ? `${entry.scope}: ${entry.subject}`
+    : entry.subject;
+  return {
+    title: templates && templates.point ? format(entry) : subject,
+    id: `${siteUrl || ""}/updates#${it.hash}`,
+    guid: it.hash,
+    link: `${siteUrl || ""}/updates`,
+    date: new Date(it.timestamp),
+    description: formatEntries(it.entries, "• ", format).join("\n"),
+  };
+}
+
+/**
+ * Converts a block item (day, week, month or release) to feed fields. Its
+ * date is the start of its first day in the feed time zone, or for the
+ * "Unreleased" item, the time of its newest commit.
+ * @param {object} it - Item as written in updates.json
+ * @param {string} siteUrl - Public site URL, may be empty
+ * @param {{timeZone?: string, templates?: object}} [channel] - Time zone days
+ *   start in, and title and point templates
+ * @returns {object}
+ */
+function blockEntry(it, siteUrl, channel = {}) {
+  const templates = channel.templates || null;
+  // Points migrated from an "Unreleased" block have no commit date at all
+  const date = it.date
+    ? startOfDay(it.date, channel.timeZone)
+    : new Date(it.timestamp || Date.now());
+  return {
+    title: itemTitle(it, templates, blockTitle(it)),
+    id: `${siteUrl || ""}/updates#${itemAnchor(it)}`,
+    link: `${siteUrl || ""}/updates`,
+    date,
+    description: formatEntries(
+      it.entries,
+      "• ",
+      pointFormatter(templates)
+    ).join("\n"),
+  };
+}
+
+/**
+ * Returns the public URL of the changelog page
+ * @param {string} siteUrl - Public site URL
+ * @param {{link?: string}} channel - Feed metadata
+ * @returns {string}
+ */
+function channelLink(siteUrl, channel) {
+  if (channel.link) return channel.link;
+  return siteUrl ? `${siteUrl}/updates` : "/updates";
+}
+
+/**
+ * Builds a Feed instance holding every item
+ * @param {Array<object>} items - Items as written in updates.json
+ * @param {string} [siteUrl] - Public site URL
+ * @param {object} [channel] - Feed metadata (see resolveChannel), the
+ *   `timeZone` days start in and the `templates` (see resolveTemplates)
+ * @returns {Feed}
+ */
+export function createFeed(items, siteUrl = "", channel = {}) {
+  const feed = new Feed({
+    title: channel.title || DEFAULT_TITLE,
+    // RSS 2.0 requires a channel description
+    description: channel.description || channel.title || DEFAULT_TITLE,
+    id: siteUrl ? `${siteUrl}/updates` : "updates",
+    link: channelLink(siteUrl, channel),
+    language: channel.language || undefined,
+    copyright: channel.copyright || undefined,
+    image: channel.image || undefined,
+    favicon: channel.favicon || undefined,
+    author: channel.author || undefined,
+    ttl: channel.ttl || undefined,
+    updated: new Date(),
+    generator: GENERATOR,
+  });
+  for (const category of channel.categories || []) {
+    feed.addCategory(category);
+  }
+
+  for (const entry of feedEntries(items, siteUrl, channel)) {
+    try {
+      feed.addItem(entry);
+    } catch (err) {
+      console.warn(
+        `Warning: Couldn't add feed item for ${entry.title}:`,
+        err.message
+      );
+    }
+  }
+
+  return feed;
+}
+
+/**
+ * Escapes text for use in XML content
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+/**
+ * Rewrites the markup of an XML document, leaving CDATA sections (titles and
+ * descriptions, i.e. commit text) untouched
+ * @param {string} xml
+ * @param {(markup: string) => string} rewrite - Called on each run of markup
+ *   between CDATA sections, in document order
+ * @returns {string}
+ */
+function rewriteMarkup(xml, rewrite) {
+  return xml
+    .split(/(<!\[CDATA\[[\s\S]*?\]\]>)/)
+    .map((part, i) => (i % 2 ? part : rewrite(part)))
+    .join("");
+}
+
+/**
+ * Adds a <dc:creator> per author to each RSS item. RSS 2.0 <author> must be
+ * an email address, which is never published, so names go to Dublin Core.
+ * @param {string} xml - RSS document rendered by the feed package
+ * @param {Array<object>} entries - Feed entries, in item order
+ * @returns {string}
+ */
+function addCreators(xml, entries) {
+  if (!entries.some((entry) => entry.author.length)) return xml;
+
+  let index = 0;
+  const rss = rewriteMarkup(xml, (markup) =>
+    markup.replace(/(\s*)<\/item>/g, (match, space) => {
+      const entry = entries[index++];
+      const creators = (entry ? entry.author : []).map(
+        (a) => `    <dc:creator>${escapeXml(a.name)}</dc:creator>\n        `
+      );
+      return `${space}${creators.join("")}</item>`;
+    })
+  );
+
+  return /<rss [^>]*xmlns:dc=/.test(rss)
+    ? rss
+    : rss.replace("<rss ", '<rss xmlns:dc="http://purl.org/dc/elements/1.1/" ');
+}
+
+/**
+ * Marks the GUIDs that aren't URLs (commit hashes) with isPermaLink="false":
+ * RSS 2.0 otherwise reads a GUID as the permanent URL of its item
+ * @param {string} xml - RSS document rendered by the feed package
+ * @returns {string}
+ */
+function markGuids(xml) {
+  return rewriteMarkup(xml, (markup) =>
+    markup.replace(/<guid>(?!https?:\/\/)/g, '<guid isPermaLink="false">')
+  );
+}
+
+/**
+ * Adds the channel author to an RSS document as <managingEditor>, which RSS
+ * 2.0 only accepts with an email address
+ * @param {string} xml - RSS document rendered by the feed package
+ * @param {{name: string, email?: string}|null} author
+ * @returns {string}
+ */
+function addManagingEditor(xml, author) {
+  if (!author || !author.email) return xml;
+  return xml.replace(
+    /(\s*)<generator>/,
+    (match, space) =>
+      `${space}<managingEditor>${escapeXml(
+        `${author.email} (${author.name})`
+      )}</managingEditor>${match}`
+  );
+}
+
+/**
+ * Renders items as a JSON Feed 1.1 document (https://jsonfeed.org/version/1.1)
+ * @param {Array<object>} items - Items as written in updates.json
+ * @param {string} [siteUrl] - Public site URL
+ * @param {object} [channel] - Feed metadata (see resolveChannel), the
+ *   `timeZone` days start in and the `templates` (see resolveTemplates)
+ * @returns {string}
+ */
+export function renderJsonFeed(items, siteUrl = "", channel = {}) {
+  const feed = {
+    version: "https://jsonfeed.org/version/1.1",
+    title: channel.title || DEFAULT_TITLE,
+  };
+  if (siteUrl || channel.link) {
+    feed.home_page_url = channelLink(siteUrl, channel);
+  }
+  if (siteUrl) feed.feed_url = `${siteUrl}/${FORMATS.jsonfeed.file}`;
+  if (channel.description) feed.description = channel.description;
+  if (channel.image) feed.icon = channel.image;
+  if (channel.favicon) feed.favicon = channel.favicon;
+  if (channel.author) {
+    const { name, link } = channel.author;
+    feed.authors = [link ? { name, url: link } : { name }];
+  }
+  if (channel.language) feed.language = channel.language;
+  feed.items = feedEntries(items, siteUrl, channel).map((entry) => ({
+    id: entry.id,
+    url: entry.link,
+    title: entry.title,
+    content_text: entry.description,
+    date_published: entry.date.toISOString(),
+    ...(entry.author.length ? { authors: entry.author } : {}),
+  }));
+
+  return JSON.stringify(feed, null, 2);
+}
+
+/**
+ * Renders items in one of the feed formats
+ * @param {"rss"|"atom"|"jsonfeed"} format
+ * @param {Array<object>} items - Items as written in updates.json
+ * @param {string} [siteUrl] - Public site URL
+ * @param {object} [channel] - Feed metadata (see resolveChannel), the
+ *   `timeZone` days start in and the `templates` (see resolveTemplates)
+ * @returns {string}
+ */
+export function renderFeed(format, items, siteUrl = "", channel = {}) {
+  if (format === "jsonfeed") return renderJsonFeed(items, siteUrl, channel);
+  const feed = createFeed(items, siteUrl, channel);
+  if (format === "atom") return feed.atom1();
+  return addCreators(
+    markGuids(addManagingEditor(feed.rss2(), channel.author)),
+    feedEntries(items, siteUrl, channel)
+  );
+}
@@ -129,6 +129,8 @@ function setupNextJsPages() {
  * - /api/git2feed/txt - Text format
  * - /api/git2feed/json - JSON format
  * - /api/git2feed/rss - RSS format
+ * - /api/git2feed/atom - Atom format
+ * - /api/git2feed/jsonfeed - JSON Feed format
  * - Add ?refresh=true to force refresh
  */
 
@@ -153,6 +155,8 @@ export default createNextApiHandler({
     console.log(`   - /api/git2feed/txt`);
     console.log(`   - /api/git2feed/json`);
     console.log(`   - /api/git2feed/rss`);
+    console.log(`   - /api/git2feed/atom`);
+    console.log(`   - /api/git2feed/jsonfeed`);
   }
 }
 
@@ -163,7 +167,7 @@ function setupNextJsApp() {
   const appDir = path.join(ROOT, "app");
 
   // Créer les dossiers pour chaque format dans un sous-dossier git2feed
-  const formats = ["txt", "json", "rss"];
+  const formats = ["txt", "json", "rss", "atom", "jsonfeed"];
   const filesWritten = [];
 
   for (const format of formats) {
@@ -252,6 +256,8 @@ function setupExpress() {
  * - /git2feed/updates.txt
  * - /git2feed/updates.json
  * - /git2feed/updates.rss
+ * - /git2feed/updates.atom
+ * - /git2feed/updates.feed.json
  */
 
 const { createExpressMiddleware } = require('git2feed/middleware');
@@ -278,6 +284,8 @@ module.exports = createExpressMiddleware({
     console.log(`   - /git2feed/updates.txt`);
     console.log(`   - /git2feed/updates.json`);
     console.log(`   - /git2feed/updates.rss`);
+    console.log(`   - /git2feed/updates.atom`);
+    console.log(`   - /git2feed/updates.feed.json`);
   }
 }
 
@@ -288,7 +296,7 @@ function setupNuxt() {
   const serverDir = path.join(ROOT, "server", "api", "git2feed");
 
   // Créer le fichier handler pour chaque format
-  const formats = ["txt", "json", "rss"];
+  const formats = ["txt", "json", "rss", "atom", "jsonfeed"];
   const filesWritten = [];
 
   for (const format of formats) {
@@ -301,12 +309,21 @@ function setupNuxt() {
 
 import { createUpdatesHandler } from 'git2feed/middleware';
 
+// Créé une seule fois (chargement des plugins, cache du HEAD)
+const handlerPromise = createUpdatesHandler();
+
 export default defineEventHandler(async (event) => {
-  const handler = createUpdatesHandler();
+  const handler = await handlerPromise;
   const query = getQuery(event);
+  const url = getRequestURL(event);
   const result = await handler({ 
     format: '${format}',
-    forceRefresh: query.refresh === 'true'
+    forceRefresh: query.refresh === 'true',
+    page: query.page || null,
+    before: query.before || null,
+    url: \`\${handler.siteUrl || url.origin}\${url.pathname}\`,
+    ifNoneMatch: getRequestHeader(event, 'if-none-match') || null,
+    ifModifiedSince: getRequestHeader(event, 'if-modified-since') || null
   });
   
   if (result.headers) {
@@ -316,7 +333,8 @@ export default defineEventHandler(async (event) => {
   }
   
   setResponseStatus(event, result.status);
-  return result.body;
+  // Corps vide pour une réponse 304
+  return result.body ?? '';
 });
 `;
 
@@ -343,7 +361,7 @@ function setupSvelteKit() {
   const apiDir = path.join(routesDir, "api", "git2feed");
 
   // Créer le fichier +server.js pour chaque format
-  const formats = ["txt", "json", "rss"];
+  const formats = ["txt", "json", "rss", "atom", "jsonfeed"];
   const filesWritten = [];
 
   for (const format of formats) {
@@ -358,12 +376,20 @@ function setupSvelteKit() {
 
 import { createUpdatesHandler } from 'git2feed/middleware';
 
+// Créé une seule fois (chargement des plugins, cache du HEAD)
+const handlerPromise = createUpdatesHandler();
+
 /** @type {import('@sveltejs/kit').RequestHandler} */
-export async function GET({ url }) {
-  const handler = createUpdatesHandler();
+export async function GET({ url, request }) {
+  const handler = await handlerPromise;
   const result = await handler({ 
     format: '${format}',
-    forceRefresh: url.searchParams.get('refresh') === 'true'
+    forceRefresh: url.searchParams.get('refresh') === 'true',
+    page: url.searchParams.get('page'),
+    before: url.searchParams.get('before'),
+    url: \`\${handler.siteUrl || url.origin}\${url.pathname}\`,
+    ifNoneMatch: request.headers.get('if-none-match'),
+    ifModifiedSince: request.headers.get('if-modified-since')
   });
   
   const headers = new Headers();
@@ -402,7 +428,7 @@ function setupAstro() {
   const pagesDir = path.join(ROOT, "src", "pages", "api", "git2feed");
 
   // Créer le fichier pour chaque format
-  const formats = ["txt", "json", "rss"];
+  const formats = ["txt", "json", "rss", "atom", "jsonfeed"];
   const filesWritten = [];
 
   for (const format of formats) {
@@ -415,12 +441,20 @@ function setupAstro() {
 
 import { createUpdatesHandler } from 'git2feed/middleware';
 
+// Créé une seule fois (chargement des plugins, cache du HEAD)
+const handlerPromise = createUpdatesHandler();
+
 export async function get({ request }) {
   const url = new URL(request.url);
-  const handler = createUpdatesHandler();
+  const handler = await handlerPromise;
   const result = await handler({ 
     format: '${format}',
-    forceRefresh: url.searchParams.get('refresh') === 'true'
+    forceRefresh: url.searchParams.get('refresh') === 'true',
+    page: url.searchParams.get('page'),
+    before: url.searchParams.get('before'),
+    url: \`\${handler.siteUrl || url.origin}\${url.pathname}\`,
+    ifNoneMatch: request.headers.get('if-none-match'),
+    ifModifiedSince: request.headers.get('if-modified-since')
   });
   
   return new Response(result.body, {
@@ -482,6 +516,8 @@ app.listen(3000, () => {
   console.log('- http://localhost:3000/git2feed/updates.txt');
   console.log('- http://localhost:3000/git2feed/updates.json');
   console.log('- http://localhost:3000/git2feed/updates.rss');
+  console.log('- http://localhost:3000/git2feed/updates.atom');
+  console.log('- http://localhost:3000/git2feed/updates.feed.json');
 });
 */
 
@@ -522,11 +558,18 @@ export const GET = createNextAppHandler({
 // src/routes/api/git2feed/[format]/+server.js
 import { createUpdatesHandler } from 'git2feed/middleware';
 
-export async function GET({ params, url }) {
-  const handler = createUpdatesHandler();
+const handlerPromise = createUpdatesHandler();
+
+export async function GET({ params, url, request }) {
+  const handler = await handlerPromise;
   const result = await handler({ 
     format: params.format,
-    forceRefresh: url.searchParams.get('refresh') === 'true'
+    forceRefresh: url.searchParams.get('refresh') === 'true',
+    page: url.searchParams.get('page'),
+    before: url.searchParams.get('before'),
+    url: \`\${handler.siteUrl || url.origin}\${url.pathname}\`,
+    ifNoneMatch: request.headers.get('if-none-match'),
+    ifModifiedSince: request.headers.get('if-modified-since')
   });
   
   return new Response(result.body, {
@@ -543,17 +586,25 @@ export async function GET({ params, url }) {
 import { createUpdatesHandler } from 'git2feed/middleware';
 import http from 'http';
 
+// Créé une seule fois (chargement des plugins, cache du HEAD)
+const handlerPromise = createUpdatesHandler();
+
 const server = http.createServer(async (req, res) => {
   const url = new URL(req.url, \`http://\${req.headers.host}\`);
   
-  // Gérer les routes pour /git2feed/updates.txt, /git2feed/updates.json et /git2feed/updates.rss
-  const match = url.pathname.match(/\\/git2feed\\/updates\\.(txt|json|rss)$/);
+  // Gérer les routes pour /git2feed/updates.txt, .json, .rss, .atom et .feed.json
+  const match = url.pathname.match(/\\/git2feed\\/updates\\.(txt|json|rss|atom|feed\\.json)$/);
   if (match) {
-    const format = match[1];
-    const handler = createUpdatesHandler();
+    const format = match[1] === 'feed.json' ? 'jsonfeed' : match[1];
+    const handler = await handlerPromise;
     const result = await handler({ 
       format,
-      forceRefresh: url.searchParams.get('refresh') === 'true'
+      forceRefresh: url.searchParams.get('refresh') === 'true',
+      page: url.searchParams.get('page'),
+      before: url.searchParams.get('before'),
+      url: \`\${handler.siteUrl || url.origin}\${url.pathname}\`,
+      ifNoneMatch: req.headers['if-none-match'] || null,
+      ifModifiedSince: req.headers['if-modified-since'] || null
     });
     
     res.statusCode = result.status;
@@ -563,7 +614,8 @@ const server = http.createServer(async (req, res) => {
       });
     }
     
-    res.end(result.body);
+    // Corps vide pour une réponse 304
+    res.end(result.body ?? undefined);
   } else {
     res.statusCode = 404;
     res.end('Not found');
@@ -576,6 +628,8 @@ server.listen(3000, () => {
   console.log('- http://localhost:3000/git2feed/updates.txt');
   console.log('- http://localhost:3000/git2feed/updates.json');
   console.log('- http://localhost:3000/git2feed/updates.rss');
+  console.log('- http://localhost:3000/git2feed/updates.atom');
+  console.log('- http://localhost:3000/git2feed/updates.feed.json');
 });
 */
 `;
@@ -0,0 +1,208 @@
+/**
+ * git2feed - Title and point templates module
+ *
+ * Templates are strings with `{field}` or `{field:argument}` placeholders:
+ * - item titles (`titleTemplate`): `{date}` (or `{date:MMMM d, yyyy}`, a
+ *   date-fns format pattern), `{version}` and `{heading}`
+ * - points (`pointTemplate`): `{point}` (the default wording), `{type}`,
+ *   `{scope}`, `{subject}`, `{hash}` (or `{hash:7}`) and `{link}` (the commit
+ *   URL, from the repository of package.json)
+ *
+ * Dates are formatted in the `locale` option (a date-fns locale code such as
+ * "fr" or "en-GB"), which defaults to the channel `language`.
+ *
+ * @author Aurélien Rommelaere <https://arommelaere.com>
+ * @license MIT
+ */
+
+import path from "path";
+import { format as formatDate } from "date-fns";
+import { formatPoint } from "./conventional.js";
+import { readJSON } from "./detect.js";
+import { itemHeading } from "./releases.js";
+
+/** Placeholders each template accepts */
+export const TEMPLATE_FIELDS = {
+  titleTemplate: ["date", "version", "heading"],
+  pointTemplate: ["point", "type", "scope", "subject", "hash", "link"],
+};
+
+/**
+ * Parses a template into text and placeholder parts
+ * @param {string} template
+ * @param {string} name - Option name, which decides the fields allowed
+ * @returns {Array<string|{field: string, arg: string|null}>}
+ * @throws {Error} On unknown placeholders
+ */
+export function parseTemplate(template, name) {
+  const fields = TEMPLATE_FIELDS[name];
+  const parts = [];
+  let last = 0;
+
+  for (const match of template.matchAll(/\{(\w+)(?::([^}]*))?\}/g)) {
+    const [placeholder, field, arg] = match;
+    if (!fields.includes(field)) {
+      throw new Error(
+        `Unknown placeholder ${placeholder} in ${name} (expected ${fields
+          .map((f) => `{${f}}`)
+          .join(", ")})`
+      );
+    }
+    parts.push(template.slice(last, match.index));
+    parts.push({ field, arg: arg === undefined ? null : arg });
+    last = match.index + placeholder.length;
+  }
+  parts.push(template.slice(last));
+
+  return parts.filter((part) => part !== "");
+}
+
+/**
+ * Loads a date-fns locale
+ * @param {string|null} code - Locale code ("fr", "en-GB"...)
+ * @returns {Promise<object|undefined>} undefined for the date-fns default
+ *   (en-US)
+ * @throws {Error} If date-fns has no such locale
+ */
+export async function loadLocale(code) {
+  if (!code) return undefined;
+  // date-fns names locales "fr" or "en-GB": try the full code, then the language
+  const [language, region] = String(code).replace("_", "-").split("-");
+  const candidates = region
+    ? [`${language.toLowerCase()}-${region.toUpperCase()}`, language]
+    : [language.toLowerCase()];
+
+  for (const candidate of candidates) {
+    try {
+      return (await import(`date-fns/locale/${candidate}`)).default;
+    } catch {
+      // Not a date-fns locale, try the next candidate
+    }
+  }
+  // Plain "en" is the date-fns default
+  if (language.toLowerCase() === "en") return undefined;
+  throw new Error(`Unknown locale "${code}" (expected a date-fns locale)`);
+}
+
+/**
+ * Returns the web URL of a package.json `repository` (GitHub shorthand, git
+ * URL or object)
+ * @param {string|{url?: string}|null} repository
+ * @returns {string|null}
+ */
+export function repositoryUrl(repository) {
+  const url =
+    typeof repository === "string" ? repository : repository && repository.url;
+  if (!url) return null;
+
+  const shorthand = url.match(
+    /^(?:(github|gitlab|bitbucket):)?([\w.-]+\/[\w.-]+)$/
+  );
+  if (shorthand) {
+    const host = `${shorthand[1] || "github"}.${
+      shorthand[1] === "bitbucket" ? "org" : "com"
+    }`;
+    return `https://${host}/${shorthand[2]}`;
+  }
+
+  const match = url.match(
+    /^(?:git\+)?(?:\w+:\/\/)?(?:[^@/]+@)?([^/:]+)[/:](.+?)(?:\.git)?\/?$/
+  );
+  return match ? `https://${match[1]}/${match[2]}` : null;
+}
+
+/**
+ * Resolves the template options of a run
+ * @param {object} options - generateUpdates options (titleTemplate,
+ *   pointTemplate, locale, language)
+ * @param {{root?: string, pkg?: object}} [project] - Project root, or the
+ *   package.json contents read from it
+ * @returns {Promise<{title: Array|null, point: Array|null, locale: object|undefined, repository: string|null}>}
+ */
+export async function resolveTemplates(options = {}, project = {}) {
+  const root = project.root || process.cwd();
+  const pkg = project.pkg || readJSON(path.join(root, "package.json")) || {};
+
+  return {
+    title: options.titleTemplate
+      ? parseTemplate(options.titleTemplate, "titleTemplate")
+      : null,
+    point: options.pointTemplate
+      ? parseTemplate(options.pointTemplate, "pointTemplate")
+      : null,
+    // The channel language only applies when date-fns knows it
+    locale: options.locale
+      ? await loadLocale(options.locale)
+      : await loadLocale(options.language).catch(() => undefined),
+    repository: repositoryUrl(pkg.repository),
+  };
+}
+
+/**
+ * Fills a parsed template
+ * @param {Array<string|{field: string, arg: string|null}>} parts
+ * @param {function(string, string|null): string} value - Value of a field
+ * @returns {string}
+ */
+function fill(parts, value) {
+  return parts
+    .map((part) =>
+      typeof part === "string" ? part : value(part.field, part.arg)
+    )
+    .join("");
+}
+
+/**
+ * Formats a day (yyyy-MM-dd) with a date-fns pattern
+ * @param {string|null} day
+ * @param {string|null} pattern - Defaults to yyyy-MM-dd
+ * @param {object} [locale] - date-fns locale
+ * @returns {string} Empty for undated (unreleased) items
+ */
+function formatDay(day, pattern, locale) {
+  if (!day) return "";
+  if (!pattern) return day;
+  const [year, month, date] = day.split("-").map(Number);
+  return formatDate(new Date(year, month - 1, date), pattern, { locale });
+}
+
+/**
+ * Returns the title of an item
+ * @param {object} item - Item as written in updates.json
+ * @param {object|null} templates - Resolved templates (see resolveTemplates)
+ * @param {string} [fallback] - Title used without a title template, the
+ *   item heading by default
+ * @returns {string}
+ */
+export function itemTitle(item, templates, fallback = itemHeading(item)) {
+  if (!templates || !templates.title) return fallback;
+  return fill(templates.title, (field, arg) => {
+    if (field === "date") return formatDay(item.date, arg, templates.locale);
+    if (field === "version") return item.version || "";
+    return itemHeading(item);
+  });
+}
+
+/**
+ * Returns a point formatter applying the point template
+ * @param {object|null} templates - Resolved templates (see resolveTemplates)
+ * @param {string|null} [hash] - Commit of entries that don't carry their own
+ * @returns {function(object): string} Formats an entry (formatPoint without
+ *   a point template)
+ */
+export function pointFormatter(templates, hash = null) {
+  if (!templates || !templates.point) return formatPoint;
+
+  return (entry) =>
+    fill(templates.point, (field, arg) => {
+      const commit = entry.hash || hash || "";
+      if (field === "point") return formatPoint(entry);
+      if (field === "hash") return arg ? commit.slice(0, Number(arg)) : commit;
+      if (field === "link") {
+        return commit && templates.repository
+          ? `${templates.repository}/commit/${commit}`
+          : "";
+      }
+      return entry[field] || "";
+    });
+}
@@ -0,0 +1,54 @@
+/**
+ * git2feed - Commit message trailers module
+ *
+ * @author Aurélien Rommelaere <https://arommelaere.com>
+ * @license MIT
+ */
+
+const TRAILER_RE = /^([A-Za-z][\w-]*|BREAKING CHANGE):\s*(.*)$/;
+const SKIP_VALUES = ["skip", "none", "no", "ignore"];
+
+/**
+ * Reads the trailers of a commit message, i.e. the "Key: value" lines of its
+ * last paragraph (as git interpret-trailers does)
+ * @param {string} body - Commit body (or full message)
+ * @returns {Object<string, string[]>} Values per lower-cased key
+ */
+export function readTrailers(body) {
+  const paragraphs = (body || "").trim().split(/\n\s*\n/);
+  const last = paragraphs[paragraphs.length - 1] || "";
+  const trailers = {};
+
+  for (const line of last.split("\n")) {
+    const match = line.trim().match(TRAILER_RE);
+    if (!match) continue;
+    const key = match[1].toLowerCase();
+    if (!trailers[key]) trailers[key] = [];
+    trailers[key].push(match[2].trim());
+  }
+
+  return trailers;
+}
+
+/**
+ * Reads the changelog control trailers of a commit:
+ * - `Changelog: skip` leaves the commit out of every output
+ * - `Changelog: <text>` publishes <text> instead of the subject
+ * - `Changelog-Type: <type>` overrides the Conventional Commit type
+ *   (`breaking` flags the entry as a breaking change)
+ * @param {string} body - Commit body
+ * @returns {{skip: boolean, text: string|null, type: string|null}}
+ */
+export function changelogTrailers(body) {
+  const trailers = readTrailers(body);
+  const changelog = (trailers.changelog || []).filter(Boolean);
+  const type = (trailers["changelog-type"] || []).filter(Boolean).pop();
+
+  return {
+    skip: changelog.some((v) => SKIP_VALUES.includes(v.toLowerCase())),
+    text:
+      changelog.filter((v) => !SKIP_VALUES.includes(v.toLowerCase())).pop() ||
+      null,
+    type: type ? type.toLowerCase() : null,
+  };
+}
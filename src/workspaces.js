@@ -0,0 +1,162 @@
+/**
+ * git2feed - Workspace discovery module (npm, yarn and pnpm workspaces)
+ *
+ * @author Aurélien Rommelaere <https://arommelaere.com>
+ * @license MIT
+ */
+
+import fs from "fs";
+import path from "path";
+import { readJSON } from "./detect.js";
+
+/** Directories never searched for workspace packages */
+const IGNORED_DIRS = ["node_modules", ".git"];
+
+/**
+ * Reads the `packages` list of a pnpm-workspace.yaml file
+ * @param {string} content - pnpm-workspace.yaml content
+ * @returns {string[]} Workspace patterns
+ */
+export function parsePnpmWorkspace(content) {
+  const patterns = [];
+  let inPackages = false;
+
+  for (const line of (content || "").split("\n")) {
+    if (/^packages\s*:/.test(line)) {
+      inPackages = true;
+      continue;
+    }
+    // Any other top-level key ends the list
+    if (/^\S/.test(line)) inPackages = false;
+    if (!inPackages) continue;
+
+    const match = line.match(/^\s*-\s*(["']?)([^"'#]+?)\1\s*(#.*)?$/);
+    if (match) patterns.push(match[2]);
+  }
+
+  return patterns;
+}
+
+/**
+ * Reads the workspace patterns declared in a repository: the `workspaces`
+ * field of package.json (npm, yarn) or pnpm-workspace.yaml
+ * @param {string} root - Repository root
+ * @returns {string[]} Workspace patterns, negations ("!dir") included
+ */
+export function workspacePatterns(root) {
+  const pkg = readJSON(path.join(root, "package.json")) || {};
+  const workspaces = Array.isArray(pkg.workspaces)
+    ? pkg.workspaces
+    : (pkg.workspaces && pkg.workspaces.packages) || [];
+  if (workspaces.length) return workspaces;
+
+  try {
+    return parsePnpmWorkspace(
+      fs.readFileSync(path.join(root, "pnpm-workspace.yaml"), "utf8")
+    );
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Converts a single path segment holding `*` wildcards to a RegExp
+ * @param {string} segment
+ * @returns {RegExp}
+ */
+function segmentRegExp(segment) {
+  const escaped = segment
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"));
+  return new RegExp(`^${escaped.join("[^/]*")}$`);
+}
+
+/**
+ * Lists the sub-directories of a directory, ignored ones excepted
+ * @param {string} dir - Absolute directory path
+ * @returns {string[]} Directory names
+ */
+function subDirs(dir) {
+  try {
+    return fs
+      .readdirSync(dir, { withFileTypes: true })
+      .filter((e) => e.isDirectory() && !IGNORED_DIRS.includes(e.name))
+      .map((e) => e.name);
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Expands a workspace pattern (`packages/*`, `apps/**`, `tools/cli`)
+ * @param {string} root - Repository root
+ * @param {string} pattern - Pattern relative to root
+ * @returns {string[]} Matching directories, relative to root
+ */
+export function expandPattern(root, pattern) {
+  const segments = pattern
+    .replace(/^\.\//, "")
+    .replace(/\/+$/, "")
+    .split("/")
+    .filter(Boolean);
+
+  let matches = [""];
+  for (const segment of segments) {
+    const next = new Set();
+    for (const dir of matches) {
+      if (segment === "**") {
+        // Zero or more directory levels
+        const stack = [dir];
+        while (stack.length) {
+          const current = stack.pop();
+          next.add(current);
+          for (const name of subDirs(path.join(root, current))) {
+            stack.push(current ? `${current}/${name}` : name);
+          }
+        }
+      } else if (segment.includes("*")) {
+        const re = segmentRegExp(segment);
+        for (const name of subDirs(path.join(root, dir))) {
+          if (re.test(name)) next.add(dir ? `${dir}/${name}` : name);
+        }
+      } else {
+        const candidate = dir ? `${dir}/${segment}` : segment;
+        if (fs.existsSync(path.join(root, candidate))) next.add(candidate);
+      }
+    }
+    matches = [...next];
+  }
+
+  return matches.filter(Boolean);
+}
+
+/**
+ * Discovers the workspace packages of a repository
+ * @param {string} root - Repository root
+ * @returns {Array<{name: string, dir: string}>} Packages sorted by directory,
+ *   `dir` being relative to root with forward slashes
+ */
+export function findWorkspaces(root) {
+  const included = new Set();
+  const excluded = new Set();
+
+  for (const pattern of workspacePatterns(root)) {
+    const negated = pattern.startsWith("!");
+    for (const dir of expandPattern(
+      root,
+      negated ? pattern.slice(1) : pattern
+    )) {
+      (negated ? excluded : included).add(dir);
+    }
+  }
+
+  return [...included]
+    .filter((dir) => !excluded.has(dir))
+    .map((dir) => ({
+      dir,
+      pkg: readJSON(path.join(root, dir, "package.json")),
+    }))
+    .filter(({ pkg }) => pkg)
+    .map(({ dir, pkg }) => ({ name: pkg.name || path.basename(dir), dir }))
+    .sort((a, b) => a.dir.localeCompare(b.dir));
+}
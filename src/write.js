@@ -0,0 +1,122 @@
+/**
+ * git2feed - Writes feeds built by buildFeed to an output directory
+ *
+ * @author Aurélien Rommelaere <https://arommelaere.com>
+ * @license MIT
+ */
+
+import fs from "fs";
+import path from "path";
+import { FORMATS } from "./render.js";
+import { INDEX_VERSION } from "./records.js";
+import { updateChangelog } from "./changelog.js";
+
+/** Records of the published commits, next to the generated files */
+export const INDEX_FILE = "updates.index.json";
+
+/** Yearly archives (see splitArchives) */
+const ARCHIVE_FILE = /^updates-\d{4}\.(json|rss|atom|feed\.json)$/;
+
+/**
+ * Lists the files writeFeed writes, without writing them
+ * @param {object} feed - Result of buildFeed
+ * @param {string} outDir - Output directory
+ * @param {object} [options]
+ * @param {string|null} [options.changelog] - CHANGELOG.md to prepend the new
+ *   blocks to
+ * @param {boolean} [options.force] - Rebuild: generated files of formats no
+ *   longer written are reset, and CHANGELOG.md is rewritten from every record
+ * @returns {Map<string, string|null>} Content by path, null for files to
+ *   remove (archives of years that are no longer archived)
+ */
+export function feedFiles(feed, outDir, options = {}) {
+  const files = new Map();
+  const file = (name) => path.join(outDir, name);
+
+  files.set(
+    file(INDEX_FILE),
+    JSON.stringify(
+      { version: INDEX_VERSION, records: feed.records, skipped: feed.skipped },
+      null,
+      2
+    )
+  );
+  files.set(file(feed.files.txt), feed.outputs.txt);
+
+  // Prepend the new blocks to CHANGELOG.md, keeping older sections as is. A
+  // missing changelog (e.g. enabled on a project with an index) or a rebuild
+  // lists every published commit.
+  if (options.changelog) {
+    if (options.force || !fs.existsSync(options.changelog)) {
+      if (feed.records.length) {
+        files.set(options.changelog, updateChangelog("", feed.recordItems));
+      }
+    } else if (feed.fresh.length || feed.reopened.length) {
+      files.set(
+        options.changelog,
+        updateChangelog(
+          fs.readFileSync(options.changelog, "utf8"),
+          feed.freshItems,
+          { dropUnreleased: feed.reopened.length > 0 }
+        )
+      );
+    }
+  }
+
+  for (const [format, content] of Object.entries(feed.outputs)) {
+    files.set(file(feed.files[format]), content);
+  }
+  for (const archive of feed.archives) {
+    files.set(file(archive.file), archive.content);
+  }
+
+  const existing = fs.existsSync(outDir) ? fs.readdirSync(outDir) : [];
+  for (const name of existing) {
+    // Archives of years that are no longer archived (e.g. a higher limit)
+    if (ARCHIVE_FILE.test(name) && !files.has(file(name))) {
+      files.set(file(name), null);
+    }
+  }
+
+  // If force flag is set, reset the output files
+  if (options.force) {
+    for (const format of ["json", "rss", "atom", "jsonfeed", "html"]) {
+      const reset = file(FORMATS[format].file);
+      if (files.has(reset) || !fs.existsSync(reset)) continue;
+      files.set(
+        reset,
+        format === "json"
+          ? JSON.stringify(
+              { updated_at: new Date().toISOString(), items: [] },
+              null,
+              2
+            )
+          : ""
+      );
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Writes a feed built by buildFeed
+ * @param {object} feed - Result of buildFeed
+ * @param {string} outDir - Output directory, created if needed
+ * @param {object} [options] - See feedFiles, plus:
+ * @param {boolean} [options.dryRun] - List the files without writing them
+ * @returns {Map<string, string|null>} Files written (see feedFiles)
+ */
+export function writeFeed(feed, outDir, options = {}) {
+  const files = feedFiles(feed, outDir, options);
+  if (options.dryRun) return files;
+
+  if (!fs.existsSync(outDir)) {
+    fs.mkdirSync(outDir, { recursive: true });
+  }
+  for (const [file, content] of files) {
+    if (content === null) fs.unlinkSync(file);
+    else fs.writeFileSync(file, content);
+  }
+  return files;
+}